@@ -0,0 +1,37 @@
+import { useMemo } from "react";
+import { tokenize } from "@/lib/highlight";
+
+const TOKEN_CLASSES = {
+  comment: "text-slate-400 italic",
+  string: "text-emerald-300",
+  keyword: "text-violet-300",
+  literal: "text-amber-300",
+  tag: "text-sky-300",
+  attribute: "text-orange-200",
+};
+
+// Read-only, syntax-highlighted source; `language` as in lib/highlight.
+const CodeView = ({ code, language, label }) => {
+  const tokens = useMemo(() => tokenize(code, language), [code, language]);
+  return (
+    <pre
+      aria-label={label}
+      tabIndex={0}
+      className="bg-slate-900 text-slate-100 p-4 rounded-lg text-sm overflow-auto h-full"
+    >
+      <code>
+        {tokens.map((token, i) =>
+          token.type ? (
+            <span key={i} className={TOKEN_CLASSES[token.type]}>
+              {token.text}
+            </span>
+          ) : (
+            token.text
+          ),
+        )}
+      </code>
+    </pre>
+  );
+};
+
+export default CodeView;
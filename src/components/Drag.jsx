@@ -7,318 +7,420 @@ import React, {
 } from "react";
 import {
   DndContext,
+  KeyboardSensor,
   PointerSensor,
+  useDroppable,
   useSensor,
   useSensors,
-  closestCenter,
 } from "@dnd-kit/core";
 import {
-  arrayMove,
   SortableContext,
+  rectSortingStrategy,
+  sortableKeyboardCoordinates,
   useSortable,
   verticalListSortingStrategy,
 } from "@dnd-kit/sortable";
 import { CSS } from "@dnd-kit/utilities";
-import { Separator } from "@/components/ui/separator";
-
-// --- MOCK UI COMPONENTS ---
-const Button = React.forwardRef(({ children, variant, ...props }, ref) => (
-  <button
-    ref={ref}
-    className={`px-4 py-2 rounded-lg font-semibold text-white ${
-      variant === "destructive"
-        ? "bg-red-500 hover:bg-red-600"
-        : "bg-slate-900 hover:bg-slate-700"
-    } focus:outline-none focus:ring-2 focus:ring-slate-500 focus:ring-opacity-50 transition-colors`}
-    {...props}
+import isEqual from "lodash/isEqual";
+import union from "lodash/union";
+import { AssetProvider, Button, Input, Textarea } from "@/renderer/components";
+import { getBoxStyle, renderComponent } from "@/renderer/renderComponent";
+import { PageRenderer } from "@/renderer/PageRenderer";
+import { pageStore } from "@/lib/pageStore";
+import { assetStore, toAssetRef } from "@/lib/assetStore";
+import useHistory from "@/hooks/useHistory";
+import useMarqueeSelection from "@/hooks/useMarqueeSelection";
+import useResolvedAssets from "@/hooks/useResolvedAssets";
+import { downloadFile, getExportFileName } from "@/lib/download";
+import { diffBlueprints } from "@/lib/blueprintDiff";
+import {
+  findComponent,
+  findParent,
+  flattenComponents,
+  getChildren,
+  getOutermostIds,
+  insertComponent,
+  moveComponent,
+  moveComponents,
+  removeComponent,
+  updateComponent,
+} from "@/lib/blueprintTree";
+import { blockStore } from "@/lib/blockStore";
+import {
+  fromClipboardText,
+  inlineImages,
+  toClipboardText,
+} from "@/lib/clipboard";
+import { innermostCollision } from "@/lib/collision";
+import {
+  createAnnouncements,
+  describeComponent,
+  screenReaderInstructions,
+} from "@/lib/dndAnnouncements";
+import {
+  FORM_FIELD_TYPES,
+  getTakenFieldNames,
+  withUniqueFieldNames,
+} from "@/lib/forms";
+import {
+  BLOCK_TEMPLATES,
+  DEFAULT_THEME,
+  DEVICES,
+  FONT_FAMILIES,
+  SCHEMA_VERSION,
+  STYLE_FIELDS,
+  TOKENS,
+  applyFieldChange,
+  clearDeviceStyles,
+  cloneComponents,
+  createComponent,
+  generateComponentCode,
+  getComponentTypes,
+  getDefinition,
+  getVisibleFields,
+  getThemeStyle,
+  migrateBlueprint,
+  resolveStyles,
+  setDeviceStyle,
+  validateBlueprint,
+} from "@/registry";
+import CodeView from "@/components/CodeView";
+import PropertyField from "@/components/PropertyField";
+
+// --- COMPONENT INFRASTRUCTURE ---
+const PALETTE = [
+  "Text",
+  "Description",
+  "Image",
+  "Table",
+  "Graph",
+  "Section",
+  "Columns",
+  "Grid",
+  "Card",
+];
+
+// --- ITEM ACTIONS ---
+// Shared by the selected item's toolbar, its context menu and the keyboard.
+// Clipboard actions are left out of the toolbar (`menuOnly`); their shortcuts
+// go through the browser's copy/cut/paste events.
+const ITEM_ACTIONS = [
+  { name: "moveUp", label: "Move up", icon: "↑", shortcut: "Alt+↑" },
+  {
+    name: "moveDown",
+    label: "Move down",
+    icon: "↓",
+    shortcut: "Alt+↓",
+  },
+  {
+    name: "moveToTop",
+    label: "Move to top",
+    icon: "⤒",
+    shortcut: "Alt+Home",
+  },
+  {
+    name: "moveToBottom",
+    label: "Move to bottom",
+    icon: "⤓",
+    shortcut: "Alt+End",
+  },
+  {
+    name: "duplicate",
+    label: "Duplicate",
+    icon: "⧉",
+    shortcut: "Ctrl+D",
+  },
+  { name: "copy", label: "Copy", shortcut: "Ctrl+C", menuOnly: true },
+  { name: "cut", label: "Cut", shortcut: "Ctrl+X", menuOnly: true },
+  { name: "paste", label: "Paste after", shortcut: "Ctrl+V", menuOnly: true },
+  { name: "saveBlock", label: "Save as block…", menuOnly: true },
+  { name: "delete", label: "Delete", icon: "×", shortcut: "Delete" },
+];
+
+const MOVE_ACTIONS = ["moveUp", "moveDown", "moveToTop", "moveToBottom"];
+
+// Whether an action does nothing for the item at `index` of `count` siblings.
+// Moves only apply to a single selected component.
+const isActionDisabled = (name, index, count, selectionCount = 1) =>
+  (MOVE_ACTIONS.includes(name) && selectionCount > 1) ||
+  ((name === "moveUp" || name === "moveToTop") && index === 0) ||
+  ((name === "moveDown" || name === "moveToBottom") && index === count - 1);
+
+const getItemShortcut = (e) => {
+  if (e.ctrlKey || e.metaKey)
+    return !e.altKey && e.key.toLowerCase() === "d" ? "duplicate" : undefined;
+  if (e.altKey)
+    return {
+      ArrowUp: "moveUp",
+      ArrowDown: "moveDown",
+      Home: "moveToTop",
+      End: "moveToBottom",
+    }[e.key];
+  return e.key === "Delete" || e.key === "Backspace" ? "delete" : undefined;
+};
+
+const ItemToolbar = ({ component, index, count, selectionCount, onAction }) => (
+  <div
+    role="toolbar"
+    aria-label={`${component.type} actions`}
+    className="absolute -top-3 right-2 z-10 flex bg-white border border-slate-200 rounded-md shadow-sm"
+    // Keep clicks here from selecting the item or starting a drag.
+    onClick={(e) => e.stopPropagation()}
+    onPointerDown={(e) => e.stopPropagation()}
   >
-    {children}
-  </button>
-));
-Button.displayName = "Button";
-
-const Image = React.forwardRef(({ src, alt, ...props }, ref) => (
-  <img
-    ref={ref}
-    className="w-full rounded-lg shadow-sm"
-    src={src}
-    alt={alt}
-    {...props}
-  />
-));
-Image.displayName = "Image";
-
-const Input = React.forwardRef((props, ref) => (
-  <input
-    ref={ref}
-    className="w-full px-3 py-2 border border-slate-300 rounded-md shadow-sm placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-slate-500 focus:border-slate-500"
-    {...props}
-  />
-));
-Input.displayName = "Input";
-
-const Textarea = React.forwardRef((props, ref) => (
-  <textarea
-    ref={ref}
-    className="w-full px-3 py-2 border border-slate-300 rounded-md shadow-sm placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-slate-500 focus:border-slate-500"
-    {...props}
-  />
-));
-Textarea.displayName = "Textarea";
-
-const Text = React.forwardRef(({ text, ...props }, ref) => (
-  <p ref={ref} className="text-base text-slate-800" style={{ ...props.style }}>
-    {text}
-  </p>
-));
-Text.displayName = "Text";
-
-const Description = React.forwardRef(({ text, ...props }, ref) => (
-  <p ref={ref} className="text-sm text-slate-600" style={{ ...props.style }}>
-    {text}
-  </p>
-));
-Description.displayName = "Description";
-
-const Graph = React.forwardRef(({ chartType, ...props }, ref) => (
-  <div ref={ref} className="w-full h-64 bg-slate-50 p-4 rounded-lg">
-    <p className="text-center font-medium text-slate-700 mb-2">
-      {chartType === "bar" ? "Bar Chart" : "Line Chart"}
-    </p>
-    <svg
-      className="w-full h-full"
-      viewBox="0 0 100 50"
-      preserveAspectRatio="none"
-    >
-      {chartType === "bar" ? (
-        <>
-          <rect x="10" y="20" width="15" height="30" fill="#a7f3d0" />
-          <rect x="35" y="10" width="15" height="40" fill="#6ee7b7" />
-          <rect x="60" y="25" width="15" height="25" fill="#34d399" />
-          <rect x="85" y="5" width="15" height="45" fill="#10b981" />
-        </>
-      ) : (
-        <polyline
-          fill="none"
-          stroke="#3b82f6"
-          strokeWidth="2"
-          points="5,45 25,20 45,35 65,10 85,25 95,5"
-        />
-      )}
-    </svg>
+    {ITEM_ACTIONS.filter((action) => !action.menuOnly).map((action) => (
+      <button
+        key={action.name}
+        type="button"
+        title={`${action.label} (${action.shortcut})`}
+        aria-label={action.label}
+        disabled={isActionDisabled(action.name, index, count, selectionCount)}
+        onClick={() => onAction(component.id, action.name)}
+        className={`w-7 h-7 text-sm disabled:opacity-30 disabled:cursor-not-allowed ${action.name === "delete" ? "text-red-600 hover:bg-red-50" : "text-slate-600 hover:bg-slate-100"}`}
+      >
+        {action.icon}
+      </button>
+    ))}
   </div>
-));
-Graph.displayName = "Graph";
-
-const EditableCell = ({ value, onSave, isHeader = false }) => {
-  const [isEditing, setIsEditing] = useState(false);
-  const [text, setText] = useState(value);
-  const inputRef = useRef(null);
-  const handleSave = () => {
-    onSave(text);
-    setIsEditing(false);
-  };
+);
+
+const ItemContextMenu = ({
+  menu,
+  index,
+  count,
+  selectionCount,
+  onAction,
+  onClose,
+}) => {
+  const menuRef = useRef(null);
   useEffect(() => {
-    if (isEditing) {
-      inputRef.current?.focus();
-      inputRef.current?.select();
-    }
-  }, [isEditing]);
+    menuRef.current.querySelector("button:not(:disabled)")?.focus();
+    const handlePointerDown = (e) => {
+      if (!menuRef.current.contains(e.target)) onClose();
+    };
+    window.addEventListener("pointerdown", handlePointerDown);
+    window.addEventListener("scroll", onClose, true);
+    return () => {
+      window.removeEventListener("pointerdown", handlePointerDown);
+      window.removeEventListener("scroll", onClose, true);
+    };
+  }, [onClose]);
   const handleKeyDown = (e) => {
-    if (e.key === "Enter") {
-      handleSave();
-    }
-    if (e.key === "Escape") {
-      setText(value);
-      setIsEditing(false);
+    const items = [
+      ...menuRef.current.querySelectorAll("button:not(:disabled)"),
+    ];
+    const current = items.indexOf(document.activeElement);
+    if (e.key === "Escape" || e.key === "Tab") {
+      e.preventDefault();
+      onClose();
+      focusCanvasItem(menu.id);
+    } else if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      items[(current + step + items.length) % items.length]?.focus();
     }
   };
-  const CellTag = isHeader ? "th" : "td";
   return (
-    <CellTag
-      className="border border-slate-300 px-2 py-1 relative"
-      onDoubleClick={() => setIsEditing(true)}
+    <div
+      ref={menuRef}
+      role="menu"
+      className="fixed z-50 w-56 py-1 bg-white border border-slate-200 rounded-md shadow-lg"
+      style={{ left: menu.x, top: menu.y }}
+      onKeyDown={handleKeyDown}
+      onContextMenu={(e) => e.preventDefault()}
     >
-      {isEditing ? (
-        <input
-          ref={inputRef}
-          type="text"
-          value={text}
-          onChange={(e) => setText(e.target.value)}
-          onBlur={handleSave}
-          onKeyDown={handleKeyDown}
-          className="w-full h-full p-1 box-border absolute inset-0 outline-none border-2 border-blue-500 z-10"
-        />
-      ) : (
-        <span className="block min-h-[24px]">{value}</span>
-      )}
-    </CellTag>
+      {ITEM_ACTIONS.map((action) => (
+        <button
+          key={action.name}
+          type="button"
+          role="menuitem"
+          disabled={isActionDisabled(action.name, index, count, selectionCount)}
+          onClick={() => {
+            onClose();
+            onAction(menu.id, action.name);
+          }}
+          className={`w-full flex justify-between px-3 py-1.5 text-sm text-left disabled:opacity-40 disabled:cursor-not-allowed ${action.name === "delete" ? "text-red-600 hover:bg-red-50" : "text-slate-700 hover:bg-slate-100"}`}
+        >
+          <span>{action.label}</span>
+          {action.shortcut && (
+            <span className="text-xs text-slate-400">{action.shortcut}</span>
+          )}
+        </button>
+      ))}
+    </div>
   );
 };
 
-const Table = React.forwardRef(
-  ({ data, hasHeader, onDataChange, ...props }, ref) => {
-    if (!data) return <div>Table data is missing.</div>;
-    const handleHeaderSave = (colIndex, newValue) => {
-      const newHeaders = [...data.headers];
-      newHeaders[colIndex] = newValue;
-      onDataChange({ ...data, headers: newHeaders });
-    };
-    const handleCellSave = (rowIndex, colIndex, newValue) => {
-      const newCells = data.cells.map((row) => [...row]);
-      newCells[rowIndex][colIndex] = newValue;
-      onDataChange({ ...data, cells: newCells });
-    };
-    return (
-      <table
-        ref={ref}
-        className="w-full border-collapse border border-slate-400"
-        {...props}
+// --- Draggable UI Components ---
+// Blocks pass `data.block` ({ name, create }), dropped as a group.
+// `disabled` items are listed but cannot be dragged.
+const DraggableSidebarItem = ({
+  id,
+  label = id,
+  description,
+  data,
+  disabled = false,
+  onRemove,
+}) => {
+  const { attributes, listeners, setNodeRef, transform } = useSortable({
+    id,
+    data,
+    disabled,
+  });
+  return (
+    <div
+      ref={setNodeRef}
+      style={{ transform: CSS.Transform.toString(transform) }}
+      {...attributes}
+      {...listeners}
+      className="p-2"
+    >
+      <div
+        className={`relative bg-white p-4 rounded-lg border shadow-sm text-center ${
+          disabled
+            ? "border-red-200 cursor-not-allowed"
+            : "border-slate-200 cursor-grab hover:shadow-md transition-shadow"
+        }`}
       >
-        {hasHeader && data.headers && (
-          <thead>
-            <tr>
-              {data.headers.map((headerText, colIndex) => (
-                <EditableCell
-                  key={colIndex}
-                  value={headerText}
-                  onSave={(newValue) => handleHeaderSave(colIndex, newValue)}
-                  isHeader
-                />
-              ))}
-            </tr>
-          </thead>
+        <p className="font-medium text-slate-700">{label}</p>
+        {description && (
+          <p
+            className={`mt-1 text-xs ${disabled ? "text-red-600" : "text-slate-500"}`}
+          >
+            {description}
+          </p>
         )}
-        {data.cells && (
-          <tbody>
-            {data.cells.map((row, rowIndex) => (
-              <tr key={rowIndex}>
-                {row.map((cellText, colIndex) => (
-                  <EditableCell
-                    key={colIndex}
-                    value={cellText}
-                    onSave={(newValue) =>
-                      handleCellSave(rowIndex, colIndex, newValue)
-                    }
-                  />
-                ))}
-              </tr>
-            ))}
-          </tbody>
+        {onRemove && (
+          <button
+            type="button"
+            aria-label={`Delete ${label}`}
+            onClick={onRemove}
+            onPointerDown={(e) => e.stopPropagation()}
+            className="absolute top-1 right-2 text-slate-400 hover:text-red-600"
+          >
+            &times;
+          </button>
         )}
-      </table>
-    );
-  },
-);
-Table.displayName = "Table";
-
-// --- COMPONENT INFRASTRUCTURE ---
-const COMPONENT_MAP = { Text, Description, Image, Table };
-
-const generateDefaultTableData = (rows, cols, hasHeader) => {
-  const actualRows = hasHeader ? rows - 1 : rows;
-  return {
-    headers: Array.from({ length: cols }, (_, i) => `Header ${i + 1}`),
-    cells: Array.from({ length: actualRows }, (_, r) =>
-      Array.from({ length: cols }, (_, c) => `Cell ${r + 1}-${c + 1}`),
-    ),
-  };
+      </div>
+    </div>
+  );
 };
 
-const DEFAULT_PROPS = {
-  Button: {
-    text: "Click Me",
-    variant: "default",
-    styles: {
-      marginTop: 0,
-      marginBottom: 8,
-      marginLeft: 0,
-      marginRight: 0,
-      fontSize: 14,
-      color: "#FFFFFF",
-    },
-  },
-  Input: {
-    label: "Field Label",
-    placeholder: "Enter value...",
-    styles: {
-      marginTop: 10,
-      marginBottom: 4,
-      marginLeft: 0,
-      marginRight: 0,
-      fontSize: 14,
-      color: "#334155",
-    },
-  },
-  Textarea: {
-    label: "Message",
-    placeholder: "Your message here",
-    styles: {
-      marginTop: 10,
-      marginBottom: 4,
-      marginLeft: 0,
-      marginRight: 0,
-      fontSize: 14,
-      color: "#334155",
-    },
-  },
-  Separator: {
-    styles: { marginTop: 10, marginBottom: 4, marginLeft: 0, marginRight: 0 },
-  },
-  Image: {
-    src: "https://images.unsplash.com/photo-1599420186946-7b6fb4e297f0?ixlib=rb-1.2.1&auto=format&fit=crop&w=800&q=80",
-    alt: "A placeholder image",
-    styles: { marginTop: 10, marginBottom: 4, marginLeft: 0, marginRight: 0 },
-  },
-  Table: {
-    rows: 4,
-    cols: 4,
-    hasHeader: true,
-    data: generateDefaultTableData(4, 4, true),
-    styles: { marginTop: 10, marginBottom: 4, marginLeft: 0, marginRight: 0 },
-  },
-  Text: {
-    text: "This is an editable text block. Click to select and edit in the properties panel.",
-    styles: {
-      marginTop: 8,
-      marginBottom: 8,
-      marginLeft: 0,
-      marginRight: 0,
-      fontSize: 18,
-      color: "#1e293b",
-    },
-  },
-  Description: {
-    text: "This is a smaller description text. Use it for details, captions, or supplementary information.",
-    styles: {
-      marginTop: 4,
-      marginBottom: 4,
-      marginLeft: 0,
-      marginRight: 0,
-      fontSize: 14,
-      color: "#475569",
+// Built-in templates first, then the user's saved blocks (newest first).
+// Saved blocks that failed validation show why and can only be deleted.
+const BlocksPanel = ({ blocks, onRemove }) => {
+  const templateItems = BLOCK_TEMPLATES.map((template) => ({
+    id: `template:${template.id}`,
+    label: template.name,
+    description: template.description,
+    data: { block: { name: template.name, create: template.create } },
+  }));
+  const blockItems = blocks.map((block) => ({
+    id: `block:${block.id}`,
+    label: block.name,
+    description: block.errors.length
+      ? `Cannot be used: ${block.errors[0]}`
+      : `${block.components.length} component(s)`,
+    disabled: block.errors.length > 0,
+    data: {
+      block: {
+        name: block.name,
+        create: () => cloneComponents(block.components),
+      },
     },
-  },
-  Graph: {
-    chartType: "bar",
-    styles: { marginTop: 10, marginBottom: 4, marginLeft: 0, marginRight: 0 },
-  },
+    onRemove: () => onRemove(block),
+  }));
+  return (
+    <>
+      <h3 className="px-2 text-sm font-semibold text-slate-500 uppercase">
+        Templates
+      </h3>
+      <SortableContext
+        items={templateItems.map((item) => item.id)}
+        strategy={verticalListSortingStrategy}
+      >
+        {templateItems.map((item) => (
+          <DraggableSidebarItem key={item.id} {...item} />
+        ))}
+      </SortableContext>
+      <h3 className="px-2 mt-4 text-sm font-semibold text-slate-500 uppercase">
+        Saved Blocks
+      </h3>
+      {blockItems.length > 0 ? (
+        <SortableContext
+          items={blockItems.map((item) => item.id)}
+          strategy={verticalListSortingStrategy}
+        >
+          {blockItems.map((item) => (
+            <DraggableSidebarItem key={item.id} {...item} />
+          ))}
+        </SortableContext>
+      ) : (
+        <p className="px-2 py-2 text-sm text-slate-500">
+          Select components and choose "Save as block" from their context menu
+          to reuse them here.
+        </p>
+      )}
+    </>
+  );
 };
 
-// --- Draggable UI Components ---
-const DraggableSidebarItem = ({ id }) => {
-  const { attributes, listeners, setNodeRef, transform } = useSortable({ id });
+const CanvasDropZone = ({
+  containerId,
+  items,
+  selectedIds,
+  onSelect,
+  onUpdate,
+  onAction,
+  onContextMenu,
+  device,
+  page,
+  strategy = verticalListSortingStrategy,
+  listClassName = "space-y-4",
+  listStyle,
+  maxColSpan,
+  className = "min-h-[4rem] p-2 rounded-lg border border-dashed border-slate-300",
+  emptyText = "Drop components here.",
+}) => {
+  const { setNodeRef, isOver } = useDroppable({
+    id: `dropzone-${containerId ?? "root"}`,
+    data: { containerId },
+  });
   return (
     <div
       ref={setNodeRef}
-      style={{ transform: CSS.Transform.toString(transform) }}
-      {...attributes}
-      {...listeners}
-      className="p-2"
+      className={`${className} ${isOver ? "bg-blue-50" : ""} transition-colors`}
     >
-      <div className="bg-white p-4 rounded-lg border border-slate-200 cursor-grab shadow-sm hover:shadow-md transition-shadow text-center">
-        <p className="font-medium text-slate-700">{id}</p>
-      </div>
+      <SortableContext items={items.map((c) => c.id)} strategy={strategy}>
+        <div className={listClassName} style={listStyle}>
+          {items.length > 0 ? (
+            items.map((c, index) => (
+              <SortableCanvasItem
+                key={c.id}
+                id={c.id}
+                component={c}
+                parentId={containerId}
+                index={index}
+                count={items.length}
+                maxColSpan={maxColSpan}
+                selectedIds={selectedIds}
+                onSelect={onSelect}
+                onUpdate={onUpdate}
+                onAction={onAction}
+                onContextMenu={onContextMenu}
+                device={device}
+                page={page}
+              />
+            ))
+          ) : (
+            <div
+              className={`col-span-full text-center pointer-events-none ${containerId === null ? "py-20" : "py-4"}`}
+            >
+              <p className="text-slate-500">{emptyText}</p>
+            </div>
+          )}
+        </div>
+      </SortableContext>
     </div>
   );
 };
@@ -326,21 +428,32 @@ const DraggableSidebarItem = ({ id }) => {
 const SortableCanvasItem = ({
   id,
   component,
+  parentId,
+  index,
+  count,
+  maxColSpan = 1,
   onSelect,
-  isSelected,
+  selectedIds,
   onUpdate,
+  onAction,
+  onContextMenu,
+  device,
+  page,
 }) => {
+  const isSelected = selectedIds.includes(id);
+  // The most recently selected item carries the toolbar.
+  const isPrimary = selectedIds[selectedIds.length - 1] === id;
   const { attributes, listeners, setNodeRef, transform, transition } =
-    useSortable({ id });
-  const { styles, ...props } = component.props;
+    useSortable({ id, data: { parentId } });
+  const { props } = component;
   const [isDragOver, setIsDragOver] = useState(false);
+  const [uploadError, setUploadError] = useState(null);
+  // Grid cells can span several columns, so translate without the sortable
+  // strategy's scale to keep wide cells from being squashed mid-drag.
   const componentStyle = {
-    transform: CSS.Transform.toString(transform),
+    ...getBoxStyle(component, maxColSpan, device),
+    transform: CSS.Translate.toString(transform),
     transition,
-    marginTop: `${styles.marginTop}px`,
-    marginBottom: `${styles.marginBottom}px`,
-    marginLeft: `${styles.marginLeft}px`,
-    marginRight: `${styles.marginRight}px`,
     position: "relative",
   };
   const selectionClasses = isSelected
@@ -350,23 +463,25 @@ const SortableCanvasItem = ({
     e.preventDefault();
     e.stopPropagation();
     setIsDragOver(true);
+    setUploadError(null);
   };
   const handleDragLeave = (e) => {
     e.preventDefault();
     e.stopPropagation();
     setIsDragOver(false);
   };
-  const handleDrop = (e) => {
+  const handleDrop = async (e) => {
     e.preventDefault();
     e.stopPropagation();
     setIsDragOver(false);
     const file = e.dataTransfer.files[0];
     if (file && file.type.startsWith("image/")) {
-      const newSrc = URL.createObjectURL(file);
-      if (props.src && props.src.startsWith("blob:")) {
-        URL.revokeObjectURL(props.src);
+      try {
+        const asset = await assetStore.saveAsset(file);
+        onUpdate(id, { ...props, src: toAssetRef(asset.id) });
+      } catch {
+        setUploadError(`"${file.name}" could not be saved.`);
       }
-      onUpdate(id, { ...props, src: newSrc });
     }
   };
   const dragHandlers =
@@ -377,336 +492,172 @@ const SortableCanvasItem = ({
           onDrop: handleDrop,
         }
       : {};
-  const renderComponent = () => {
-    const Component = COMPONENT_MAP[component.type];
-    if (!Component) return <div>Unknown Component</div>;
-    const componentProps = {
-      ...props,
-      style: { color: styles.color, fontSize: `${styles.fontSize}px` },
-    };
-    switch (component.type) {
-      case "Table":
-        return (
-          <Table
-            data={props.data}
-            hasHeader={props.hasHeader}
-            onDataChange={(newTableData) =>
-              onUpdate(id, { ...component.props, data: newTableData })
-            }
-          />
-        );
-      case "Input":
-        return (
-          <div className="w-full space-y-2">
-            <label className="font-medium text-sm">{props.label}</label>
-            <Input placeholder={props.placeholder} readOnly />
-          </div>
-        );
-      case "Textarea":
-        return (
-          <div className="w-full space-y-2">
-            <label className="font-medium text-sm">{props.label}</label>
-            <Textarea placeholder={props.placeholder} readOnly />
-          </div>
-        );
-      case "Button":
-        return <Button variant={props.variant}>{props.text}</Button>;
-      case "Separator":
-        return <Separator />;
-      case "Image":
-        return <Image src={props.src} alt={props.alt} />;
-      case "Text":
-        return <Text text={props.text} style={componentProps.style} />;
-      case "Description":
-        return <Description text={props.text} style={componentProps.style} />;
-      case "Graph":
-        return <Graph chartType={props.chartType} />;
-      default:
-        return <Component {...props} />;
-    }
+  const dropZoneProps = {
+    selectedIds,
+    onSelect,
+    onUpdate,
+    onAction,
+    onContextMenu,
+    device,
+    page,
   };
+  const renderChildren = (container, grid) =>
+    grid ? (
+      <CanvasDropZone
+        containerId={container.id}
+        items={container.props.children}
+        strategy={rectSortingStrategy}
+        listClassName="grid"
+        listStyle={grid.style}
+        maxColSpan={grid.maxColSpan}
+        {...dropZoneProps}
+      />
+    ) : (
+      <CanvasDropZone
+        containerId={container.id}
+        items={container.props.children}
+        {...dropZoneProps}
+      />
+    );
   return (
     <div
       ref={setNodeRef}
       style={componentStyle}
       {...attributes}
       {...listeners}
-      className={`p-4 bg-white rounded-lg shadow-sm cursor-grab ${selectionClasses} transition-all`}
-      onClick={() => onSelect(id)}
+      aria-roledescription="component"
+      data-component-id={id}
+      className={`p-4 bg-white rounded-lg shadow-sm cursor-grab ${selectionClasses} transition-all focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500`}
+      onClick={(e) => {
+        e.stopPropagation();
+        onSelect(id, e.shiftKey || e.ctrlKey || e.metaKey);
+      }}
+      // Keyboard focus selects; pointer focus is left to onClick, which knows
+      // about modifier keys.
+      onFocus={(e) => {
+        e.stopPropagation();
+        if (!isSelected && e.currentTarget.matches(":focus-visible"))
+          onSelect(id);
+      }}
+      onContextMenu={(e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        onContextMenu(id, e);
+      }}
       {...dragHandlers}
     >
-      {renderComponent()}
+      {isPrimary && (
+        <ItemToolbar
+          component={component}
+          index={index}
+          count={count}
+          selectionCount={selectedIds.length}
+          onAction={onAction}
+        />
+      )}
+      {renderComponent(component, { renderChildren, onUpdate, device, page })}
       {component.type === "Image" && isDragOver && (
         <div className="absolute inset-0 bg-blue-500 bg-opacity-50 flex items-center justify-center rounded-lg border-2 border-dashed border-white">
           <p className="text-white font-bold text-lg">Drop to Upload</p>
         </div>
       )}
+      {uploadError && (
+        <p
+          role="alert"
+          className="absolute bottom-2 inset-x-2 rounded-md bg-red-600 px-2 py-1 text-sm text-white"
+        >
+          {uploadError}
+        </p>
+      )}
     </div>
   );
 };
 
 // --- Properties Panel ---
-const PropertiesPanel = ({ selectedComponent, onUpdate, onDeselect }) => {
+const gridCellFields = (parentComponent) => [
+  {
+    name: "colSpan",
+    label: "Column Span",
+    type: "number",
+    default: 1,
+    integer: true,
+    min: 1,
+    max: parentComponent.props.columns,
+  },
+  {
+    name: "alignSelf",
+    label: "Alignment",
+    type: "enum",
+    default: parentComponent.props.align,
+    options: ["stretch", "start", "center", "end"],
+  },
+];
+
+// `ref` fields pick another component of `refType` from the page, and a form
+// field's name may not repeat another name in its Form.
+const resolvePageField = (field, component, page) => {
+  if (field.type === "ref")
+    return {
+      ...field,
+      type: "enum",
+      options: [
+        { value: "", label: "None" },
+        ...flattenComponents(page)
+          .filter((c) => c.type === field.refType)
+          .map((c, i) => ({ value: c.id, label: `${c.type} ${i + 1}` })),
+      ],
+    };
+  if (field.name === "name" && FORM_FIELD_TYPES.includes(component.type))
+    return { ...field, taken: getTakenFieldNames(page, component) };
+  return field;
+};
+
+const PropertiesPanel = ({
+  selectedComponent,
+  parentComponent,
+  page,
+  device,
+  theme,
+  onUpdate,
+  onDeselect,
+}) => {
   if (!selectedComponent)
     return (
-      <div className="p-6 bg-white h-full border-l border-slate-200">
+      <div className="p-6 bg-white h-full">
         <h3 className="font-semibold text-lg text-slate-800">Properties</h3>
         <p className="mt-2 text-sm text-slate-500">
           Click a component to edit.
         </p>
       </div>
     );
-  const { type, props } = selectedComponent;
-  const handleTableStructureChange = (e) => {
-    const { name, value, type, checked } = e.target;
-    const newPropValue = type === "checkbox" ? checked : parseInt(value, 10);
-    let currentRows = props.rows;
-    let currentCol = props.cols;
-    let currentData = JSON.parse(JSON.stringify(props.data));
-    let newProps = { ...props, [name]: newPropValue };
-    if (name === "rows" || name === "cols" || name === "hasHeader") {
-      const newRows = name === "rows" ? newPropValue : currentRows;
-      const newCols = name === "cols" ? newPropValue : currentCol;
-      const headerDiff = newCols - currentData.headers.length;
-      if (headerDiff > 0) {
-        currentData.headers = [
-          ...currentData.headers,
-          ...Array(headerDiff).fill("New Header"),
-        ];
-      } else {
-        currentData.headers.length = newCols;
-      }
-      const newCellRows = props.hasHeader ? newRows - 1 : newRows;
-      let newCells = currentData.cells;
-      const rowDiff = newCellRows - newCells.length;
-      if (rowDiff > 0) {
-        for (let i = 0; i < rowDiff; i++) {
-          newCells.push(Array(newCols).fill("New Cell"));
-        }
-      } else {
-        newCells.length = newCellRows;
-      }
-      newCells = newCells.map((row) => {
-        const colDiff = newCols - row.length;
-        if (colDiff > 0) {
-          return [...row, ...Array(colDiff).fill("New Cell")];
-        }
-        row.length = newCols;
-        return row;
-      });
-      newProps.data = { headers: currentData.headers, cells: newCells };
-    }
-    onUpdate(selectedComponent.id, newProps);
-  };
-  const handlePropChange = (e) =>
-    onUpdate(selectedComponent.id, {
-      ...props,
-      [e.target.name]:
-        e.target.type === "checkbox" ? e.target.checked : e.target.value,
-    });
-  const handleStyleChange = (e) =>
-    onUpdate(selectedComponent.id, {
-      ...props,
-      styles: {
-        ...props.styles,
-        [e.target.name]:
-          e.target.type === "number"
-            ? parseInt(e.target.value, 10)
-            : e.target.value,
-      },
-    });
-  const handleImageFileSelect = (e) => {
-    const file = e.target.files[0];
-    if (file && file.type.startsWith("image/")) {
-      const newSrc = URL.createObjectURL(file);
-      if (props.src && props.src.startsWith("blob:")) {
-        URL.revokeObjectURL(props.src);
-      }
-      onUpdate(selectedComponent.id, { ...props, src: newSrc });
-    }
-  };
-  const renderFields = () => {
-    switch (type) {
-      case "Text":
-        return (
-          <div className="space-y-2">
-            <label htmlFor="text" className="font-medium text-sm">
-              Content
-            </label>
-            <Textarea
-              name="text"
-              id="text"
-              value={props.text}
-              onChange={handlePropChange}
-              rows={4}
-            />
-          </div>
-        );
-      case "Description":
-        return (
-          <div className="space-y-2">
-            <label htmlFor="text" className="font-medium text-sm">
-              Content
-            </label>
-            <Textarea
-              name="text"
-              id="text"
-              value={props.text}
-              onChange={handlePropChange}
-              rows={5}
-            />
-          </div>
-        );
-      case "Graph":
-        return (
-          <div className="space-y-2">
-            <label htmlFor="chartType" className="font-medium text-sm">
-              Chart Type
-            </label>
-            <select
-              name="chartType"
-              id="chartType"
-              value={props.chartType}
-              onChange={handlePropChange}
-              className="w-full px-3 py-2 border border-slate-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-slate-500"
-            >
-              <option value="bar">Bar Chart</option>
-              <option value="line">Line Chart</option>
-            </select>
-          </div>
-        );
-      case "Table":
-        return (
-          <>
-            <div className="grid grid-cols-2 gap-4">
-              <div className="space-y-2">
-                <label htmlFor="rows" className="font-medium text-sm">
-                  Rows
-                </label>
-                <Input
-                  type="number"
-                  name="rows"
-                  id="rows"
-                  value={props.rows}
-                  onChange={handleTableStructureChange}
-                />
-              </div>
-              <div className="space-y-2">
-                <label htmlFor="cols" className="font-medium text-sm">
-                  Columns
-                </label>
-                <Input
-                  type="number"
-                  name="cols"
-                  id="cols"
-                  value={props.cols}
-                  onChange={handleTableStructureChange}
-                />
-              </div>
-            </div>
-            <div className="flex items-center space-x-2 mt-4">
-              <input
-                type="checkbox"
-                name="hasHeader"
-                id="hasHeader"
-                checked={props.hasHeader}
-                onChange={handleTableStructureChange}
-                className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
-              />
-              <label htmlFor="hasHeader" className="font-medium text-sm">
-                Enable Table Header
-              </label>
-            </div>
-          </>
-        );
-      case "Image":
-        return (
-          <>
-            <div className="space-y-2">
-              <label htmlFor="src" className="font-medium text-sm">
-                Image URL
-              </label>
-              <Input
-                name="src"
-                id="src"
-                value={props.src}
-                onChange={handlePropChange}
-              />
-            </div>
-            <div className="space-y-2">
-              <label htmlFor="image-upload" className="font-medium text-sm">
-                Or Upload From Computer
-              </label>
-              <Input
-                type="file"
-                name="image-upload"
-                id="image-upload"
-                accept="image/*"
-                onChange={handleImageFileSelect}
-                className="pt-2"
-              />
-            </div>
-            <div className="space-y-2">
-              <label htmlFor="alt" className="font-medium text-sm">
-                Alt Text
-              </label>
-              <Input
-                name="alt"
-                id="alt"
-                value={props.alt}
-                onChange={handlePropChange}
-              />
-            </div>
-          </>
-        );
-      case "Input":
-      case "Textarea":
-        return (
-          <>
-            <div className="space-y-2">
-              <label htmlFor="label" className="font-medium text-sm">
-                Label
-              </label>
-              <Input
-                name="label"
-                id="label"
-                value={props.label}
-                onChange={handlePropChange}
-              />
-            </div>
-            <div className="space-y-2">
-              <label htmlFor="placeholder" className="font-medium text-sm">
-                Placeholder
-              </label>
-              <Input
-                name="placeholder"
-                id="placeholder"
-                value={props.placeholder}
-                onChange={handlePropChange}
-              />
-            </div>
-          </>
-        );
-      case "Button":
-        return (
-          <div className="space-y-2">
-            <label htmlFor="text" className="font-medium text-sm">
-              Button Text
-            </label>
-            <Input
-              name="text"
-              id="text"
-              value={props.text}
-              onChange={handlePropChange}
-            />
-          </div>
-        );
-      default:
-        return <p>No editable properties.</p>;
-    }
-  };
+  const { id, type, props } = selectedComponent;
+  const fields = getVisibleFields(selectedComponent);
+  const handlePropChange = (name, value) =>
+    onUpdate(
+      id,
+      applyFieldChange(selectedComponent, name, value),
+      `${id}:${name}`,
+    );
+  // Off desktop, style edits become overrides for the current device.
+  const deviceStyles = resolveStyles(props.styles, device);
+  const overrides = props.styles.responsive?.[device] ?? {};
+  const deviceLabel = DEVICES.find((d) => d.name === device).label;
+  const handleStyleChange = (name, value) =>
+    onUpdate(
+      id,
+      { ...props, styles: setDeviceStyle(props.styles, device, name, value) },
+      `${id}:styles.${device}.${name}`,
+    );
+  const handleResetOverrides = () =>
+    onUpdate(id, { ...props, styles: clearDeviceStyles(props.styles, device) });
+  const handleLayoutChange = (name, value) =>
+    onUpdate(
+      id,
+      { ...props, layout: { ...props.layout, [name]: value } },
+      `${id}:layout.${name}`,
+    );
   return (
-    <div className="p-6 bg-white h-full border-l border-slate-200 overflow-y-auto">
+    <div className="p-6 bg-white h-full overflow-y-auto">
       <div className="flex justify-between items-center mb-6">
         <h3 className="font-semibold text-lg text-slate-800">
           {type} Properties
@@ -718,275 +669,1703 @@ const PropertiesPanel = ({ selectedComponent, onUpdate, onDeselect }) => {
           &times; Close
         </button>
       </div>
-      <div className="space-y-4">{renderFields()}</div>
-      <hr className="my-6" />
-      <h4 className="font-semibold text-md text-slate-800 mb-4">Styling</h4>
-      <div className="grid grid-cols-2 gap-4">
-        {props.styles.color !== undefined && (
-          <div className="space-y-2 col-span-2">
-            <label htmlFor="color" className="font-medium text-sm">
-              Font Color
-            </label>
-            <Input
-              type="color"
-              name="color"
-              id="color"
-              value={props.styles.color}
-              onChange={handleStyleChange}
-              className="w-full h-10"
+      <div className="space-y-4">
+        {fields.length > 0 ? (
+          fields.map((field) => (
+            <PropertyField
+              key={`${id}:${field.name}`}
+              field={resolvePageField(field, selectedComponent, page)}
+              value={props[field.name]}
+              onChange={handlePropChange}
             />
-          </div>
+          ))
+        ) : (
+          <p>No editable properties.</p>
         )}
-        {props.styles.fontSize !== undefined && (
-          <div className="space-y-2 col-span-2">
-            <label htmlFor="fontSize" className="font-medium text-sm">
-              Font Size (px)
-            </label>
-            <Input
-              type="number"
-              name="fontSize"
-              id="fontSize"
-              value={props.styles.fontSize}
-              onChange={handleStyleChange}
-            />
+      </div>
+      {parentComponent?.type === "Grid" && (
+        <>
+          <hr className="my-6" />
+          <h4 className="font-semibold text-md text-slate-800 mb-4">
+            Grid Cell
+          </h4>
+          <div className="grid grid-cols-2 gap-4">
+            {gridCellFields(parentComponent).map((field) => (
+              <PropertyField
+                key={`${id}:${field.name}`}
+                field={field}
+                value={props.layout?.[field.name]}
+                onChange={handleLayoutChange}
+              />
+            ))}
           </div>
+        </>
+      )}
+      <hr className="my-6" />
+      <div className="flex justify-between items-center mb-4">
+        <h4 className="font-semibold text-md text-slate-800">
+          Styling{device !== "desktop" && ` (${deviceLabel})`}
+        </h4>
+        {Object.keys(overrides).length > 0 && (
+          <button
+            onClick={handleResetOverrides}
+            className="text-sm font-medium text-blue-600 hover:text-blue-800"
+          >
+            Reset {Object.keys(overrides).length} override(s)
+          </button>
         )}
-        <div className="space-y-2">
-          <label htmlFor="marginTop" className="font-medium text-sm">
-            Margin Top
-          </label>
-          <Input
-            type="number"
-            name="marginTop"
-            value={props.styles.marginTop}
-            onChange={handleStyleChange}
-          />
-        </div>
-        <div className="space-y-2">
-          <label htmlFor="marginBottom" className="font-medium text-sm">
-            Margin Bottom
-          </label>
-          <Input
-            type="number"
-            name="marginBottom"
-            value={props.styles.marginBottom}
-            onChange={handleStyleChange}
-          />
-        </div>
-        <div className="space-y-2">
-          <label htmlFor="marginLeft" className="font-medium text-sm">
-            Margin Left
-          </label>
-          <Input
-            type="number"
-            name="marginLeft"
-            value={props.styles.marginLeft}
-            onChange={handleStyleChange}
-          />
-        </div>
-        <div className="space-y-2">
-          <label htmlFor="marginRight" className="font-medium text-sm">
-            Margin Right
-          </label>
-          <Input
-            type="number"
-            name="marginRight"
-            value={props.styles.marginRight}
+      </div>
+      {device !== "desktop" && (
+        <p className="mb-4 text-xs text-slate-500">
+          Changes here only apply to {deviceLabel.toLowerCase()} screens and
+          smaller.
+        </p>
+      )}
+      <div className="grid grid-cols-2 gap-4">
+        {STYLE_FIELDS.filter(
+          (field) => props.styles[field.name] !== undefined,
+        ).map((field) => (
+          <PropertyField
+            key={`${id}:${device}:${field.name}`}
+            field={
+              field.name in overrides
+                ? { ...field, label: `${field.label} *` }
+                : field
+            }
+            value={deviceStyles[field.name]}
+            theme={theme}
             onChange={handleStyleChange}
+            className={field.wide ? "col-span-2" : ""}
           />
-        </div>
+        ))}
       </div>
     </div>
   );
 };
 
-const ExportModal = ({ isOpen, onClose, components }) => {
-  if (!isOpen) return null;
-  const generateComponentCode = () => {
-    const componentJSX = components
-      .map((c) => {
-        const { styles, ...props } = c.props;
-        const styleString = `style={${JSON.stringify(styles)}}`;
-        const propsString = Object.entries(props)
-          .map(([key, value]) => {
-            if (key === "data") {
-              return `${key}={${JSON.stringify(value)}}`;
-            }
-            if (typeof value === "string") return `${key}="${value}"`;
-            return `${key}={${JSON.stringify(value)}}`;
-          })
-          .join(" ");
-        return `        <${c.type} ${propsString} ${styleString} />`;
-      })
-      .join("\n");
-    const imports = `import { ${[
-      ...new Set(components.map((c) => c.type)),
-    ].join(", ")} } from '@/components/ui';`;
-    return `import React from 'react';\n${imports}\n\nexport default function GeneratedPage() {\n  return (\n    <div className="p-8 space-y-4">\n${componentJSX}\n    </div>\n  );\n}`;
-  };
-  const pageJson = JSON.stringify(
-    { name: "Exported Page", components },
-    null,
-    2,
+// Edits the style fields every selected component has, all at once. Fields
+// whose values differ across the selection show as mixed until set.
+const BulkPropertiesPanel = ({
+  components,
+  device,
+  theme,
+  onStyleChange,
+  onAction,
+  onDeselect,
+}) => {
+  const deviceLabel = DEVICES.find((d) => d.name === device).label;
+  const resolved = components.map((c) => resolveStyles(c.props.styles, device));
+  const sharedFields = STYLE_FIELDS.filter((field) =>
+    components.every((c) => c.props.styles[field.name] !== undefined),
   );
+  const key = components.map((c) => c.id).join(",");
   return (
-    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
-      <div className="bg-white rounded-lg shadow-2xl max-w-4xl w-full h-full max-h-[90vh] flex flex-col">
-        <div className="p-4 border-b flex justify-between items-center">
-          <h2 className="text-xl font-bold">Export Page</h2>
-          <button onClick={onClose} className="text-2xl font-bold">
-            &times;
-          </button>
-        </div>
-        <div className="p-4 grid grid-cols-1 md:grid-cols-2 gap-4 overflow-y-auto flex-1">
-          <div>
-            <h3 className="font-semibold mb-2">Generated React Component</h3>
-            <pre className="bg-slate-900 text-white p-4 rounded-lg text-sm overflow-x-auto h-[calc(80vh-100px)]">
-              {generateComponentCode()}
-            </pre>
-          </div>
-          <div>
-            <h3 className="font-semibold mb-2">Page JSON Data</h3>
-            <pre className="bg-slate-100 p-4 rounded-lg text-sm overflow-x-auto h-[calc(80vh-100px)]">
-              {pageJson}
-            </pre>
-          </div>
-        </div>
+    <div className="p-6 bg-white h-full overflow-y-auto">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="font-semibold text-lg text-slate-800">
+          {components.length} Components Selected
+        </h3>
+        <button
+          onClick={onDeselect}
+          className="text-sm font-medium text-blue-600 hover:text-blue-800"
+        >
+          &times; Close
+        </button>
       </div>
-    </div>
-  );
+      <p className="mb-4 text-sm text-slate-500">
+        {[...new Set(components.map((c) => c.type))].join(", ")}
+      </p>
+      <div className="flex space-x-2">
+        <Button onClick={() => onAction("duplicate")}>Duplicate</Button>
+        <Button onClick={() => onAction("saveBlock")}>Save as Block</Button>
+        <Button variant="destructive" onClick={() => onAction("delete")}>
+          Delete
+        </Button>
+      </div>
+      <hr className="my-6" />
+      <h4 className="font-semibold text-md text-slate-800 mb-4">
+        Shared Styling{device !== "desktop" && ` (${deviceLabel})`}
+      </h4>
+      {sharedFields.length > 0 ? (
+        <div className="grid grid-cols-2 gap-4">
+          {sharedFields.map((field) => {
+            const values = resolved.map((styles) => styles[field.name]);
+            const mixed = values.some((v) => !isEqual(v, values[0]));
+            return (
+              <PropertyField
+                key={`${key}:${device}:${field.name}`}
+                field={field}
+                value={mixed ? undefined : values[0]}
+                mixed={mixed}
+                theme={theme}
+                onChange={onStyleChange}
+                className={field.wide ? "col-span-2" : ""}
+              />
+            );
+          })}
+        </div>
+      ) : (
+        <p className="text-sm text-slate-500">
+          The selected components have no styles in common.
+        </p>
+      )}
+    </div>
+  );
+};
+
+// --- Export Modal ---
+// The code and the HTML get the uploaded images themselves, since they run
+// without the asset library; the JSON keeps asset references.
+const EXPORT_FORMATS = [
+  {
+    name: "jsx",
+    label: "JSX",
+    extension: "jsx",
+    type: "text/javascript",
+    language: "jsx",
+  },
+  {
+    name: "tsx",
+    label: "TSX",
+    extension: "tsx",
+    type: "text/typescript",
+    language: "jsx",
+  },
+  {
+    name: "html",
+    label: "HTML",
+    extension: "html",
+    type: "text/html",
+    language: "html",
+  },
+  {
+    name: "json",
+    label: "JSON",
+    extension: "json",
+    type: "application/json",
+    language: "json",
+  },
+];
+
+// The page exported in `format`: { text }, or { pending } with a message
+// while it is being prepared, or { error }. The static export module that
+// renders HTML is loaded on demand.
+const useExportContent = ({ name, theme, components }, format, isOpen) => {
+  const exported = useResolvedAssets(components, isOpen);
+  const [html, setHtml] = useState(null);
+  useEffect(() => {
+    if (!isOpen || format !== "html") return;
+    let cancelled = false;
+    setHtml(null);
+    import("@/lib/staticExport")
+      .then(({ renderHtmlFile }) =>
+        renderHtmlFile({ name, theme, components }, assetStore),
+      )
+      .then(
+        (text) => !cancelled && setHtml({ text }),
+        () =>
+          !cancelled && setHtml({ error: "The HTML could not be rendered." }),
+      );
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, format, name, theme, components]);
+  if (format === "json") {
+    const page = { schemaVersion: SCHEMA_VERSION, name, theme, components };
+    return { text: JSON.stringify(page, null, 2) };
+  }
+  if (format === "html") return html ?? { pending: "Rendering HTML…" };
+  if (!exported) return { pending: "Reading images…" };
+  return {
+    text: generateComponentCode(exported, theme, {
+      typescript: format === "tsx",
+    }),
+  };
+};
+
+// Copy and download the export; HTML can also be downloaded as a zip, with
+// the images as separate files.
+const ExportActions = ({ format, text, page }) => {
+  const [message, setMessage] = useState("");
+  const [isZipping, setIsZipping] = useState(false);
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setMessage(`${format.label} copied.`);
+    } catch {
+      setMessage("Copying failed; select the code and copy it instead.");
+    }
+  };
+  const handleDownloadZip = async () => {
+    setIsZipping(true);
+    setMessage("");
+    try {
+      const { exportHtmlZip } = await import("@/lib/staticExport");
+      downloadFile(
+        getExportFileName(page.name, "zip"),
+        await exportHtmlZip(page, assetStore),
+      );
+    } catch {
+      setMessage("The ZIP export failed.");
+    } finally {
+      setIsZipping(false);
+    }
+  };
+  return (
+    <div className="flex items-center space-x-2">
+      <p role="status" className="text-sm text-slate-500">
+        {message}
+      </p>
+      <Button onClick={handleCopy} disabled={text === undefined}>
+        Copy
+      </Button>
+      <Button
+        onClick={() =>
+          downloadFile(
+            getExportFileName(page.name, format.extension),
+            text,
+            format.type,
+          )
+        }
+        disabled={text === undefined}
+      >
+        Download
+      </Button>
+      {format.name === "html" && (
+        <Button onClick={handleDownloadZip} disabled={isZipping}>
+          Download ZIP with Images
+        </Button>
+      )}
+    </div>
+  );
+};
+
+const CHANGE_CLASSES = {
+  Added: "bg-green-100 text-green-800",
+  Removed: "bg-red-100 text-red-800",
+  Changed: "bg-amber-100 text-amber-800",
+  Moved: "bg-sky-100 text-sky-800",
+};
+
+const getChangeLabels = ({ kind, moved, props }) => {
+  if (kind === "added") return ["Added"];
+  if (kind === "removed") return ["Removed"];
+  return [...(props.length ? ["Changed"] : []), ...(moved ? ["Moved"] : [])];
+};
+
+// Values are shortened; image data and table data get long.
+const formatChangedValue = (value) => {
+  if (value === undefined) return "(none)";
+  const text = JSON.stringify(value);
+  return text.length > 40 ? `${text.slice(0, 39)}…` : text;
+};
+
+const ChangedValues = ({ values }) =>
+  values.length > 0 && (
+    <ul className="mt-1 space-y-0.5 text-xs text-slate-600">
+      {values.map(({ path, before, after }) => (
+        <li key={path} className="break-all">
+          <span className="font-mono">{path}</span>:{" "}
+          <del className="text-red-700">{formatChangedValue(before)}</del>
+          {" → "}
+          <ins className="text-green-700 no-underline">
+            {formatChangedValue(after)}
+          </ins>
+        </li>
+      ))}
+    </ul>
+  );
+
+// What changed in the blueprint since the page was last saved.
+const BlueprintChanges = ({ saved, components, theme }) => {
+  const diff = useMemo(
+    () => diffBlueprints(saved, { components, theme }),
+    [saved, components, theme],
+  );
+  const hasChanges = diff.components.length > 0 || diff.theme.length > 0;
+  return (
+    <section
+      aria-labelledby="export-changes-heading"
+      className="flex flex-col min-h-0"
+    >
+      <h3 id="export-changes-heading" className="font-semibold mb-2">
+        Changes Since Last Save
+      </h3>
+      <div className="flex-1 min-h-0 overflow-y-auto bg-slate-50 rounded-lg p-4 text-sm">
+        {!hasChanges ? (
+          <p className="text-slate-500">No changes since the last save.</p>
+        ) : (
+          <ul className="space-y-3">
+            {diff.theme.length > 0 && (
+              <li>
+                <span
+                  className={`mr-2 px-1.5 py-0.5 rounded text-xs font-medium ${CHANGE_CLASSES.Changed}`}
+                >
+                  Changed
+                </span>
+                <span className="font-medium">Theme</span>
+                <ChangedValues values={diff.theme} />
+              </li>
+            )}
+            {diff.components.map((change) => (
+              <li key={`${change.kind}:${change.component.id}`}>
+                {getChangeLabels(change).map((label) => (
+                  <span
+                    key={label}
+                    className={`mr-2 px-1.5 py-0.5 rounded text-xs font-medium ${CHANGE_CLASSES[label]}`}
+                  >
+                    {label}
+                  </span>
+                ))}
+                <span className="font-medium">
+                  {describeComponent(
+                    change.kind === "removed" ? saved.components : components,
+                    change.component.id,
+                  )}
+                </span>
+                <ChangedValues values={change.props} />
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </section>
+  );
+};
+
+// `saved` is the page as last saved ({ components, theme }).
+const ExportModal = ({
+  isOpen,
+  onClose,
+  components,
+  pageName,
+  theme,
+  saved,
+}) => {
+  const [formatName, setFormatName] = useState("jsx");
+  const page = { name: pageName, theme, components };
+  const content = useExportContent(page, formatName, isOpen);
+  if (!isOpen) return null;
+  const format = EXPORT_FORMATS.find((f) => f.name === formatName);
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-2xl max-w-6xl w-full h-full max-h-[90vh] flex flex-col">
+        <div className="p-4 border-b flex justify-between items-center">
+          <h2 className="text-xl font-bold">Export Page</h2>
+          <button
+            onClick={onClose}
+            aria-label="Close"
+            className="text-2xl font-bold"
+          >
+            &times;
+          </button>
+        </div>
+        <div className="p-4 grid grid-cols-1 md:grid-cols-3 gap-4 flex-1 min-h-0">
+          <div className="md:col-span-2 flex flex-col min-h-0">
+            <div className="flex flex-wrap justify-between items-center gap-2 mb-2">
+              <div
+                role="group"
+                aria-label="Export format"
+                className="inline-flex rounded-md border border-slate-300 bg-white p-1"
+              >
+                {EXPORT_FORMATS.map((f) => (
+                  <button
+                    key={f.name}
+                    onClick={() => setFormatName(f.name)}
+                    aria-pressed={formatName === f.name}
+                    className={`px-3 py-1 text-sm font-medium rounded ${formatName === f.name ? "bg-slate-900 text-white" : "text-slate-600 hover:bg-slate-100"}`}
+                  >
+                    {f.label}
+                  </button>
+                ))}
+              </div>
+              <ExportActions
+                key={format.name}
+                format={format}
+                text={content.text}
+                page={page}
+              />
+            </div>
+            <div className="flex-1 min-h-0">
+              {content.text !== undefined ? (
+                <CodeView
+                  code={content.text}
+                  language={format.language}
+                  label={`Exported ${format.label}`}
+                />
+              ) : (
+                <p
+                  role={content.error ? "alert" : undefined}
+                  className={`p-4 rounded-lg bg-slate-100 text-sm ${content.error ? "text-red-600" : "text-slate-500"}`}
+                >
+                  {content.error ?? content.pending}
+                </p>
+              )}
+            </div>
+          </div>
+          <BlueprintChanges
+            saved={saved}
+            components={components}
+            theme={theme}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// --- Import Modal ---
+const parseBlueprint = (text) => {
+  if (!text.trim()) return null;
+  try {
+    return validateBlueprint(migrateBlueprint(JSON.parse(text)));
+  } catch (error) {
+    return { components: [], errors: [`Invalid JSON: ${error.message}`] };
+  }
+};
+
+const ImportModal = ({ onClose, onImport }) => {
+  const [text, setText] = useState("");
+  const [readError, setReadError] = useState(null);
+  const result = useMemo(
+    () =>
+      readError
+        ? { components: [], errors: [readError] }
+        : parseBlueprint(text),
+    [text, readError],
+  );
+  const isValid = result && result.errors.length === 0;
+
+  const handleTextChange = (next) => {
+    setReadError(null);
+    setText(next);
+  };
+  const handleFileSelect = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      handleTextChange(await file.text());
+    } catch (error) {
+      setReadError(`"${file.name}" could not be read: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-2xl max-w-3xl w-full max-h-[90vh] flex flex-col">
+        <div className="p-4 border-b flex justify-between items-center">
+          <h2 className="text-xl font-bold">Import Blueprint</h2>
+          <button onClick={onClose} className="text-2xl font-bold">
+            &times;
+          </button>
+        </div>
+        <div className="p-4 space-y-4 overflow-y-auto flex-1">
+          <div className="space-y-2">
+            <label htmlFor="import-file" className="font-medium text-sm">
+              Upload a JSON file
+            </label>
+            <Input
+              type="file"
+              id="import-file"
+              accept="application/json,.json"
+              onChange={handleFileSelect}
+            />
+          </div>
+          <div className="space-y-2">
+            <label htmlFor="import-json" className="font-medium text-sm">
+              Or paste the page JSON
+            </label>
+            <Textarea
+              id="import-json"
+              rows={12}
+              value={text}
+              onChange={(e) => handleTextChange(e.target.value)}
+              spellCheck={false}
+            />
+          </div>
+          {result && !isValid && (
+            <div
+              role="alert"
+              className="p-3 rounded-md bg-red-50 border border-red-200 text-sm text-red-700"
+            >
+              <p className="font-semibold mb-1">
+                {result.errors.length} problem(s) found:
+              </p>
+              <ul className="list-disc pl-5 space-y-1">
+                {result.errors.map((error, i) => (
+                  <li key={i}>{error}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {isValid && (
+            <p className="text-sm text-green-700">
+              Blueprint is valid: {result.components.length} top-level
+              component(s).
+            </p>
+          )}
+        </div>
+        <div className="p-4 border-t flex justify-end space-x-2">
+          <Button disabled={!isValid} onClick={() => onImport(result, "merge")}>
+            Merge into Canvas
+          </Button>
+          <Button
+            variant="destructive"
+            disabled={!isValid}
+            onClick={() => onImport(result, "replace")}
+          >
+            Replace Canvas
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// --- Theme Panel ---
+const THEME_COLOR_FIELDS = TOKENS.colors.map((name) => ({
+  name,
+  label: `${name[0].toUpperCase()}${name.slice(1)}`,
+  type: "color",
+}));
+const THEME_SPACING_FIELDS = TOKENS.spacing.map((name) => ({
+  name,
+  label: `Spacing ${name}`,
+  type: "number",
+  min: 0,
+  max: 128,
+}));
+const THEME_FONT_FIELD = {
+  name: "fontFamily",
+  label: "Font Family",
+  type: "enum",
+  options: FONT_FAMILIES,
+};
+const THEME_RADIUS_FIELD = {
+  name: "radius",
+  label: "Corner Radius (px)",
+  type: "number",
+  min: 0,
+  max: 32,
+};
+
+const ThemePanel = ({ theme, onChange }) => {
+  const setGroupValue = (group) => (name, value) =>
+    onChange(
+      { ...theme, [group]: { ...theme[group], [name]: value } },
+      `theme.${group}.${name}`,
+    );
+  const setValue = (name, value) =>
+    onChange({ ...theme, [name]: value }, `theme.${name}`);
+  return (
+    <div className="p-6 h-full overflow-y-auto">
+      <div className="flex justify-between items-center mb-6">
+        <h3 className="font-semibold text-lg text-slate-800">Page Theme</h3>
+        <button
+          onClick={() => onChange(DEFAULT_THEME)}
+          className="text-sm font-medium text-blue-600 hover:text-blue-800"
+        >
+          Reset
+        </button>
+      </div>
+      <h4 className="font-semibold text-md text-slate-800 mb-4">Colors</h4>
+      <div className="grid grid-cols-2 gap-4">
+        {THEME_COLOR_FIELDS.map((field) => (
+          <PropertyField
+            key={field.name}
+            field={field}
+            value={theme.colors[field.name]}
+            onChange={setGroupValue("colors")}
+          />
+        ))}
+      </div>
+      <hr className="my-6" />
+      <h4 className="font-semibold text-md text-slate-800 mb-4">Typography</h4>
+      <div className="space-y-4">
+        <PropertyField
+          field={THEME_FONT_FIELD}
+          value={theme.fontFamily}
+          onChange={setValue}
+        />
+        <PropertyField
+          field={THEME_RADIUS_FIELD}
+          value={theme.radius}
+          onChange={setValue}
+        />
+      </div>
+      <hr className="my-6" />
+      <h4 className="font-semibold text-md text-slate-800 mb-4">
+        Spacing Scale
+      </h4>
+      <div className="grid grid-cols-2 gap-4">
+        {THEME_SPACING_FIELDS.map((field) => (
+          <PropertyField
+            key={field.name}
+            field={field}
+            value={theme.spacing[field.name]}
+            onChange={setGroupValue("spacing")}
+          />
+        ))}
+      </div>
+      <p className="mt-6 text-xs text-slate-500">
+        Pick a token next to a component&apos;s color, margin or padding to
+        follow these values.
+      </p>
+    </div>
+  );
+};
+
+// --- Device Switcher ---
+const DeviceSwitcher = ({ device, onChange }) => (
+  <div
+    role="group"
+    aria-label="Preview device"
+    className="inline-flex rounded-md border border-slate-300 bg-white p-1"
+  >
+    {DEVICES.map((d) => (
+      <button
+        key={d.name}
+        onClick={() => onChange(d.name)}
+        aria-pressed={device === d.name}
+        className={`px-3 py-1 text-sm font-medium rounded ${device === d.name ? "bg-slate-900 text-white" : "text-slate-600 hover:bg-slate-100"}`}
+      >
+        {d.label}
+        {d.width && <span className="ml-1 opacity-60">{d.width}px</span>}
+      </button>
+    ))}
+  </div>
+);
+
+// --- Page Toolbar ---
+const PageToolbar = ({
+  page,
+  pages,
+  isDirty,
+  isSaving,
+  saveError,
+  onOpen,
+  onNew,
+  onSave,
+  onRename,
+  onDelete,
+}) => {
+  const [name, setName] = useState(page.name);
+  useEffect(() => setName(page.name), [page.name]);
+
+  const commitName = () => {
+    const trimmed = name.trim();
+    if (!trimmed) return setName(page.name);
+    if (trimmed !== page.name) onRename(trimmed);
+  };
+
+  const status = isSaving
+    ? "Saving..."
+    : saveError
+      ? "Save failed"
+      : isDirty
+        ? "Unsaved changes"
+        : "Saved";
+
+  return (
+    <div className="flex items-center space-x-2">
+      <select
+        value={page.id ?? ""}
+        onChange={(e) => onOpen(e.target.value)}
+        className="px-3 py-2 border border-slate-300 rounded-md shadow-sm bg-white focus:outline-none focus:ring-2 focus:ring-slate-500"
+      >
+        {!page.id && <option value="">(unsaved page)</option>}
+        {pages.map((p) => (
+          <option key={p.id} value={p.id}>
+            {p.name}
+          </option>
+        ))}
+      </select>
+      <input
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        onBlur={commitName}
+        onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+        aria-label="Page name"
+        className="w-48 px-3 py-2 border border-slate-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-slate-500"
+      />
+      <span
+        title={saveError ?? undefined}
+        className={`text-sm ${saveError ? "text-red-600" : isDirty ? "text-amber-600" : "text-slate-500"}`}
+      >
+        {isDirty && "\u25CF "}
+        {status}
+      </span>
+      <Button onClick={onNew}>New</Button>
+      <Button onClick={onSave} disabled={!isDirty && !!page.id}>
+        Save
+      </Button>
+      <Button onClick={onDelete} variant="destructive" disabled={!page.id}>
+        Delete
+      </Button>
+    </div>
+  );
 };
 
 // --- Main App Component ---
+const NEW_PAGE = {
+  id: null,
+  schemaVersion: SCHEMA_VERSION,
+  name: "Untitled Page",
+  theme: DEFAULT_THEME,
+  components: [],
+};
+// Autosave stops after a failed save until a manual save succeeds, so a
+// full storage quota is not retried on every change.
+const AUTOSAVE_DELAY_MS = 1500;
+
+const toSavedJson = (components, theme) =>
+  JSON.stringify({ components, theme });
+
+// Leave native text undo alone while the user is typing in a field.
+const isEditableTarget = (target) =>
+  target.isContentEditable ||
+  ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName);
+
+// Canvas items in reading order, for arrow-key navigation. Column nodes are
+// laid out by their Columns parent and have no canvas item of their own.
+const getNavigableIds = (components) =>
+  flattenComponents(components)
+    .filter((c) => !getDefinition(c.type)?.hidden)
+    .map((c) => c.id);
+
+// window.CSS: `CSS` in this module is dnd-kit's transform helper.
+const focusCanvasItem = (id) =>
+  document
+    .querySelector(`[data-component-id="${window.CSS.escape(id)}"]`)
+    ?.focus();
+
 export default function DragAdvanced() {
-  const availableComponents = useMemo(() => Object.keys(COMPONENT_MAP), []);
-  const [canvasComponents, setCanvasComponents] = useState([]);
-  const [selectedComponentId, setSelectedComponentId] = useState(null);
+  const availableComponents = useMemo(() => getComponentTypes(PALETTE), []);
+  // The undo history holds the components and the theme together, so theme
+  // edits undo like any other, and so does an import that replaces both.
+  const {
+    present: { components: canvasComponents, theme },
+    set: setHistory,
+    undo,
+    redo,
+    reset: resetHistory,
+    canUndo,
+    canRedo,
+  } = useHistory({ components: NEW_PAGE.components, theme: NEW_PAGE.theme });
+  // Inserts, pastes and moves can bring a second field of a name into a
+  // Form; the newcomer is renamed so submissions keep both values.
+  const setCanvas = useCallback(
+    (updater, coalesceKey) =>
+      setHistory((prev) => {
+        const next = updater(prev);
+        const components = withUniqueFieldNames(
+          next.components,
+          prev.components,
+        );
+        return components === prev.components && next.theme === prev.theme
+          ? prev
+          : { components, theme: next.theme };
+      }, coalesceKey),
+    [setHistory],
+  );
+  const setCanvasComponents = useCallback(
+    (updater, coalesceKey) =>
+      setCanvas(
+        (prev) => ({
+          ...prev,
+          components:
+            typeof updater === "function" ? updater(prev.components) : updater,
+        }),
+        coalesceKey,
+      ),
+    [setCanvas],
+  );
+  const setTheme = useCallback(
+    (next, coalesceKey) =>
+      setCanvas((prev) => ({ ...prev, theme: next }), coalesceKey),
+    [setCanvas],
+  );
+  const [selectedIds, setSelectedIds] = useState([]);
+  const selectedComponentId = selectedIds[selectedIds.length - 1] ?? null;
   const [isExportModalOpen, setExportModalOpen] = useState(false);
+  const [isImportModalOpen, setImportModalOpen] = useState(false);
+  const [device, setDevice] = useState("desktop");
+  const deviceWidth = DEVICES.find((d) => d.name === device).width;
+  const [page, setPage] = useState(NEW_PAGE);
+  const [pages, setPages] = useState([]);
+  const [sidePanel, setSidePanel] = useState("properties");
+  const [isPreview, setPreview] = useState(false);
+  const [savedJson, setSavedJson] = useState(() =>
+    toSavedJson(NEW_PAGE.components, NEW_PAGE.theme),
+  );
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+  const [isDragging, setIsDragging] = useState(false);
+  const [status, setStatus] = useState("");
+  const [contextMenu, setContextMenu] = useState(null);
+  const [sidebarTab, setSidebarTab] = useState("components");
+  const [blocks, setBlocks] = useState([]);
+  const canvasRef = useRef(null);
   const sensors = useSensors(
     useSensor(PointerSensor, { activationConstraint: { distance: 10 } }),
+    useSensor(KeyboardSensor, {
+      coordinateGetter: sortableKeyboardCoordinates,
+    }),
   );
-  const handleUpdateComponent = (id, newProps) =>
-    setCanvasComponents((c) =>
-      c.map((comp) => (comp.id === id ? { ...comp, props: newProps } : comp)),
-    );
-  const handleDragEnd = ({ active, over }) => {
-    if (!over) return;
-    const isAddingNewComponent = availableComponents.includes(active.id);
-    if (isAddingNewComponent) {
-      const newComponent = {
-        id: `${active.id}-${Date.now()}`,
-        type: active.id,
-        props: JSON.parse(JSON.stringify(DEFAULT_PROPS[active.id])),
-      };
-      const overIndex = canvasComponents.findIndex((c) => c.id === over.id);
-      if (overIndex !== -1) {
-        setCanvasComponents((prev) => {
-          const newItems = [...prev];
-          newItems.splice(overIndex, 0, newComponent);
-          return newItems;
+  const announcements = useMemo(
+    () =>
+      createAnnouncements(
+        canvasComponents,
+        availableComponents,
+        getOutermostIds(canvasComponents, selectedIds),
+      ),
+    [canvasComponents, availableComponents, selectedIds],
+  );
+  const isDirty = useMemo(
+    () => toSavedJson(canvasComponents, theme) !== savedJson,
+    [canvasComponents, theme, savedJson],
+  );
+  const savedPage = useMemo(() => JSON.parse(savedJson), [savedJson]);
+  const previewPage = useMemo(
+    () => ({
+      schemaVersion: SCHEMA_VERSION,
+      theme,
+      components: canvasComponents,
+    }),
+    [theme, canvasComponents],
+  );
+
+  // Older pages are upgraded on load; comparing against the stored page
+  // leaves them dirty so autosave writes the upgrade back.
+  const loadPage = useCallback(
+    (loaded) => {
+      const migrated = migrateBlueprint(loaded);
+      setPage({ id: loaded.id, name: loaded.name });
+      resetHistory({ components: migrated.components, theme: migrated.theme });
+      setSavedJson(toSavedJson(loaded.components, loaded.theme));
+      setSaveError(null);
+      setSelectedIds([]);
+    },
+    [resetHistory],
+  );
+
+  // Saves run one at a time, each reading the page when its turn comes, so
+  // a save queued behind an autosave of a new page writes to the page that
+  // autosave created instead of adding a second one.
+  const latestRef = useRef(null);
+  useEffect(() => {
+    latestRef.current = {
+      page,
+      theme,
+      components: canvasComponents,
+      savedJson,
+    };
+  });
+  const saveQueueRef = useRef(Promise.resolve());
+
+  // Resolves to whether the page is saved; `onlyIfDirty` skips pages with
+  // no changes since their last save.
+  const savePage = useCallback((onlyIfDirty) => {
+    const save = saveQueueRef.current.then(async () => {
+      const latest = latestRef.current;
+      if (
+        onlyIfDirty &&
+        toSavedJson(latest.components, latest.theme) === latest.savedJson
+      )
+        return true;
+      setIsSaving(true);
+      try {
+        const saved = await pageStore.savePage({
+          id: latest.page.id,
+          schemaVersion: SCHEMA_VERSION,
+          name: latest.page.name,
+          theme: latest.theme,
+          components: latest.components,
         });
-      } else {
-        setCanvasComponents((prev) => [...prev, newComponent]);
+        const savedPage = { id: saved.id, name: saved.name };
+        const json = toSavedJson(saved.components, saved.theme);
+        latestRef.current = {
+          ...latestRef.current,
+          page: savedPage,
+          savedJson: json,
+        };
+        setPage(savedPage);
+        setSavedJson(json);
+        setPages(await pageStore.listPages());
+        setSaveError(null);
+        return true;
+      } catch (error) {
+        setSaveError(error.message);
+        setStatus(`Saving "${latest.page.name}" failed: ${error.message}`);
+        return false;
+      } finally {
+        setIsSaving(false);
       }
+    });
+    saveQueueRef.current = save;
+    return save;
+  }, []);
+  const handleSavePage = () => savePage(false);
+
+  // Switching pages waits for unsaved changes, including an autosave under
+  // way, to be saved, and stays put when that fails.
+  const handleOpenPage = async (id) => {
+    if (!(await savePage(true))) return;
+    try {
+      const loaded = await pageStore.getPage(id);
+      if (loaded) loadPage(loaded);
+    } catch {
+      setStatus("The page could not be opened.");
+    }
+  };
+
+  const handleNewPage = async () => {
+    if (!(await savePage(true))) return;
+    loadPage(NEW_PAGE);
+  };
+
+  const handleRenamePage = async (name) => {
+    if (!page.id) return setPage((p) => ({ ...p, name }));
+    try {
+      const renamed = await pageStore.renamePage(page.id, name);
+      setPage({ id: renamed.id, name: renamed.name });
+      setPages(await pageStore.listPages());
+    } catch {
+      setStatus(`Renaming "${page.name}" failed.`);
+    }
+  };
+
+  const handleDeletePage = async () => {
+    if (!window.confirm(`Delete "${page.name}"? This cannot be undone.`))
       return;
+    try {
+      // A save still under way would write the page back.
+      await saveQueueRef.current;
+      await pageStore.deletePage(page.id);
+      const remaining = await pageStore.listPages();
+      setPages(remaining);
+      const next =
+        remaining.length && (await pageStore.getPage(remaining[0].id));
+      loadPage(next || NEW_PAGE);
+    } catch {
+      setStatus(`Deleting "${page.name}" failed.`);
     }
-    const isActiveAComponentOnCanvas = canvasComponents.some(
-      (c) => c.id === active.id,
+  };
+
+  useEffect(() => {
+    pageStore
+      .listPages()
+      .then(async (list) => {
+        setPages(list);
+        const latest = list.length && (await pageStore.getPage(list[0].id));
+        if (latest) loadPage(latest);
+      })
+      .catch(() => setStatus("The saved pages could not be loaded."));
+  }, [loadPage]);
+
+  useEffect(() => {
+    if (!isDirty || isSaving || saveError) return;
+    const timer = setTimeout(() => savePage(true), AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [isDirty, isSaving, saveError, savePage]);
+  // Merged components get fresh ids so they cannot clash with the canvas;
+  // replacing also takes over the blueprint's theme.
+  const handleImport = ({ components, theme: importedTheme }, mode) => {
+    setCanvas((prev) =>
+      mode === "replace"
+        ? { components, theme: importedTheme ?? prev.theme }
+        : {
+            ...prev,
+            components: [...prev.components, ...cloneComponents(components)],
+          },
+    );
+    setSelectedIds([]);
+    setImportModalOpen(false);
+  };
+  const handleUpdateComponent = (id, newProps, coalesceKey) =>
+    setCanvasComponents(
+      (c) => updateComponent(c, id, (comp) => ({ ...comp, props: newProps })),
+      coalesceKey,
     );
-    const isOverAComponentOnCanvas = canvasComponents.some(
-      (c) => c.id === over.id,
+  const handleBulkStyleChange = (name, value) =>
+    setCanvasComponents(
+      (c) =>
+        selectedIds.reduce(
+          (tree, id) =>
+            updateComponent(tree, id, (comp) => ({
+              ...comp,
+              props: {
+                ...comp.props,
+                styles: setDeviceStyle(comp.props.styles, device, name, value),
+              },
+            })),
+          c,
+        ),
+      `${selectedIds.join(",")}:styles.${device}.${name}`,
     );
-    if (
-      isActiveAComponentOnCanvas &&
-      isOverAComponentOnCanvas &&
-      active.id !== over.id
-    ) {
-      const oldIndex = canvasComponents.findIndex((c) => c.id === active.id);
-      const newIndex = canvasComponents.findIndex((c) => c.id === over.id);
-      setCanvasComponents((items) => arrayMove(items, oldIndex, newIndex));
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (isPreview) return;
+      if (!(e.ctrlKey || e.metaKey) || isEditableTarget(e.target)) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [undo, redo, isPreview]);
+
+  // Pasted components go right after `afterId`, or at the end of the page.
+  const handlePaste = useCallback(
+    async (text, afterId) => {
+      const pasted = await fromClipboardText(text);
+      if (!pasted) {
+        setStatus("The clipboard does not hold copied components.");
+        return;
+      }
+      setCanvasComponents((prev) => {
+        const anchor = afterId && findParent(prev, afterId);
+        return pasted.reduce(
+          (tree, component, i) =>
+            insertComponent(
+              tree,
+              anchor ? anchor.parentId : null,
+              anchor ? anchor.index + 1 + i : undefined,
+              component,
+            ),
+          prev,
+        );
+      });
+      setSelectedIds(pasted.map((c) => c.id));
+      setStatus(
+        `Pasted ${pasted.length} component${pasted.length === 1 ? "" : "s"}.`,
+      );
+    },
+    [setCanvasComponents],
+  );
+  // Saved blocks are stored upgraded and validated; blocks that no longer
+  // validate (e.g. a component type was removed) keep their errors so the
+  // panel can say why they cannot be used.
+  const loadBlocks = useCallback(async () => {
+    try {
+      const stored = await blockStore.listBlocks();
+      setBlocks(
+        stored.map((block) => {
+          const { components, errors } = validateBlueprint(
+            migrateBlueprint(block),
+          );
+          return { ...block, components, errors };
+        }),
+      );
+    } catch (error) {
+      setStatus(`The saved blocks could not be loaded: ${error.message}`);
+    }
+  }, []);
+  useEffect(() => {
+    loadBlocks();
+  }, [loadBlocks]);
+  const handleSaveBlock = useCallback(
+    async (components, defaultName) => {
+      const name = window.prompt("Name this block:", defaultName)?.trim();
+      if (!name) return;
+      // Blocks go to localStorage, which can run out of space.
+      try {
+        await blockStore.saveBlock({
+          name,
+          schemaVersion: SCHEMA_VERSION,
+          components: await Promise.all(components.map(inlineImages)),
+        });
+      } catch (error) {
+        setStatus(`Saving block "${name}" failed: ${error.message}`);
+        return;
+      }
+      await loadBlocks();
+      setSidebarTab("blocks");
+      setStatus(`Saved block "${name}".`);
+    },
+    [loadBlocks],
+  );
+  const handleDeleteBlock = async (block) => {
+    if (!window.confirm(`Delete the block "${block.name}"?`)) return;
+    try {
+      await blockStore.deleteBlock(block.id);
+    } catch (error) {
+      setStatus(`Deleting block "${block.name}" failed: ${error.message}`);
+      return;
+    }
+    await loadBlocks();
+    setStatus(`Deleted block "${block.name}".`);
+  };
+  // Actions on a selected item apply to the whole selection (its outermost
+  // components, so a container and its children are not handled twice).
+  const handleItemAction = useCallback(
+    (id, action) => {
+      const ids =
+        selectedIds.length > 1 && selectedIds.includes(id)
+          ? getOutermostIds(canvasComponents, selectedIds)
+          : [id];
+      const location = findParent(canvasComponents, ids[0]);
+      if (!location) return;
+      const { parentId, index } = location;
+      const count = getChildren(canvasComponents, parentId).length;
+      if (isActionDisabled(action, index, count, ids.length)) return;
+      const label =
+        ids.length > 1
+          ? `${ids.length} components`
+          : describeComponent(canvasComponents, ids[0]);
+      if (action === "copy" || action === "cut") {
+        toClipboardText(ids.map((i) => findComponent(canvasComponents, i)))
+          .then((text) => navigator.clipboard.writeText(text))
+          .then(() => {
+            if (action === "cut") handleItemAction(id, "delete");
+            setStatus(`${action === "cut" ? "Cut" : "Copied"} ${label}.`);
+          })
+          .catch(() => setStatus("Could not write to the clipboard."));
+        return;
+      }
+      if (action === "saveBlock") {
+        const components = ids.map((i) => findComponent(canvasComponents, i));
+        handleSaveBlock(
+          components,
+          ids.length > 1 ? "My Block" : components[0].type,
+        );
+        return;
+      }
+      if (action === "paste") {
+        navigator.clipboard
+          .readText()
+          .then((text) => handlePaste(text, ids[ids.length - 1]))
+          .catch(() =>
+            setStatus("Could not read the clipboard. Try Ctrl+V instead."),
+          );
+        return;
+      }
+      if (action === "delete") {
+        // Select the next item outside the removed subtrees, else the previous.
+        const all = getNavigableIds(canvasComponents);
+        const remaining = getNavigableIds(
+          ids.reduce(removeComponent, canvasComponents),
+        );
+        const next =
+          all
+            .slice(all.indexOf(ids[ids.length - 1]) + 1)
+            .find((i) => remaining.includes(i)) ??
+          all
+            .slice(0, all.indexOf(ids[0]))
+            .reverse()
+            .find((i) => remaining.includes(i));
+        setCanvasComponents((prev) => ids.reduce(removeComponent, prev));
+        setSelectedIds(next ? [next] : []);
+        setStatus(`Deleted ${label}.`);
+        if (next) focusCanvasItem(next);
+        return;
+      }
+      if (action === "duplicate") {
+        const copies = cloneComponents(
+          ids.map((i) => findComponent(canvasComponents, i)),
+        );
+        setCanvasComponents((prev) =>
+          ids.reduce((tree, i, n) => {
+            const original = findParent(tree, i);
+            return insertComponent(
+              tree,
+              original.parentId,
+              original.index + 1,
+              copies[n],
+            );
+          }, prev),
+        );
+        setSelectedIds(copies.map((copy) => copy.id));
+        setStatus(`Duplicated ${label}.`);
+        requestAnimationFrame(() =>
+          focusCanvasItem(copies[copies.length - 1].id),
+        );
+        return;
+      }
+      const target = {
+        moveUp: index - 1,
+        moveDown: index + 1,
+        moveToTop: 0,
+        moveToBottom: count - 1,
+      }[action];
+      setCanvasComponents((prev) => moveComponent(prev, id, parentId, target));
+      setStatus(`Moved ${label} to position ${target + 1} of ${count}.`);
+      // Reordering moves the DOM node, which drops its focus.
+      requestAnimationFrame(() => focusCanvasItem(id));
+    },
+    [
+      canvasComponents,
+      selectedIds,
+      setCanvasComponents,
+      handlePaste,
+      handleSaveBlock,
+    ],
+  );
+  const handleContextMenu = useCallback((id, e) => {
+    // Keyboard-opened menus (Shift+F10) have no pointer position.
+    const rect = e.currentTarget.getBoundingClientRect();
+    setSelectedIds((prev) => (prev.includes(id) ? prev : [id]));
+    setContextMenu({
+      id,
+      x: e.clientX || rect.left,
+      y: e.clientY || rect.top,
+    });
+  }, []);
+  const closeContextMenu = useCallback(() => setContextMenu(null), []);
+  const contextMenuLocation =
+    contextMenu && findParent(canvasComponents, contextMenu.id);
+  const handleMarqueeSelect = useCallback((ids, additive) => {
+    setSelectedIds((prev) => (additive ? union(prev, ids) : ids));
+    if (ids.length)
+      setStatus(
+        `Selected ${ids.length} component${ids.length === 1 ? "" : "s"}.`,
+      );
+  }, []);
+  const { marquee, onPointerDown: handleCanvasPointerDown } =
+    useMarqueeSelection(canvasRef, "[data-component-id]", handleMarqueeSelect);
+
+  // The canvas is not mounted while previewing, which turns its keys off.
+  const isCanvasTarget = (target) =>
+    !isEditableTarget(target) &&
+    !!canvasRef.current &&
+    (target === document.body || canvasRef.current.contains(target));
+
+  // Ctrl+C/X/V on the canvas copy, cut and paste components, unless there is
+  // a text selection to copy instead.
+  useEffect(() => {
+    const handleCopy = (e) => {
+      if (!isCanvasTarget(e.target) || !selectedComponentId) return;
+      if (!window.getSelection().isCollapsed) return;
+      e.preventDefault();
+      handleItemAction(selectedComponentId, e.type);
+    };
+    const handlePasteEvent = (e) => {
+      if (!isCanvasTarget(e.target)) return;
+      e.preventDefault();
+      handlePaste(e.clipboardData.getData("text/plain"), selectedComponentId);
+    };
+    window.addEventListener("copy", handleCopy);
+    window.addEventListener("cut", handleCopy);
+    window.addEventListener("paste", handlePasteEvent);
+    return () => {
+      window.removeEventListener("copy", handleCopy);
+      window.removeEventListener("cut", handleCopy);
+      window.removeEventListener("paste", handlePasteEvent);
+    };
+  }, [selectedComponentId, handleItemAction, handlePaste]);
+
+  // Canvas keyboard: arrows step through items in reading order (Shift adds
+  // to the selection), Ctrl+A selects everything, Escape clears the selection
+  // and getItemShortcut's keys act on it. Only while focus is on the canvas
+  // (or nowhere), and never mid-drag, when the arrows move the item.
+  useEffect(() => {
+    const selectAndFocus = (id, extend) => {
+      setSelectedIds((prev) =>
+        extend ? [...prev.filter((i) => i !== id), id] : [id],
+      );
+      setStatus(`Selected ${describeComponent(canvasComponents, id)}.`);
+      focusCanvasItem(id);
+    };
+    const handleKeyDown = (e) => {
+      if (isDragging || !isCanvasTarget(e.target)) return;
+      const ids = getNavigableIds(canvasComponents);
+      const action = getItemShortcut(e);
+      if (action) {
+        if (!selectedComponentId) return;
+        e.preventDefault();
+        handleItemAction(selectedComponentId, action);
+        return;
+      }
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "a") {
+        e.preventDefault();
+        setSelectedIds(ids);
+        setStatus(`Selected all ${ids.length} components.`);
+        return;
+      }
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+      const index = ids.indexOf(selectedComponentId);
+      switch (e.key) {
+        case "ArrowDown":
+        case "ArrowRight":
+          if (!ids.length) return;
+          e.preventDefault();
+          selectAndFocus(ids[Math.min(index + 1, ids.length - 1)], e.shiftKey);
+          break;
+        case "ArrowUp":
+        case "ArrowLeft":
+          if (!ids.length) return;
+          e.preventDefault();
+          selectAndFocus(
+            ids[index === -1 ? 0 : Math.max(index - 1, 0)],
+            e.shiftKey,
+          );
+          break;
+        case "Escape":
+          if (index === -1) return;
+          setSelectedIds([]);
+          setStatus("Selection cleared.");
+          break;
+        default:
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [isDragging, canvasComponents, selectedComponentId, handleItemAction]);
+  // Resolves where a drop lands: the end of a container when over a drop zone,
+  // otherwise the slot of the sibling under the pointer.
+  const resolveDropTarget = (over) => {
+    if (over.data.current && "containerId" in over.data.current) {
+      return { parentId: over.data.current.containerId, index: undefined };
+    }
+    return findParent(canvasComponents, over.id);
+  };
+  const handleDragEnd = ({ active, over }) => {
+    setIsDragging(false);
+    if (!over || active.id === over.id) return;
+    const target = resolveDropTarget(over);
+    if (!target) return;
+    const block = active.data.current?.block;
+    if (block) {
+      const components = block.create();
+      setCanvasComponents((prev) =>
+        components.reduce(
+          (tree, component, i) =>
+            insertComponent(
+              tree,
+              target.parentId,
+              target.index === undefined ? undefined : target.index + i,
+              component,
+            ),
+          prev,
+        ),
+      );
+      setSelectedIds(components.map((c) => c.id));
+      return;
     }
+    if (availableComponents.includes(active.id)) {
+      setCanvasComponents((prev) =>
+        insertComponent(
+          prev,
+          target.parentId,
+          target.index,
+          createComponent(active.id),
+        ),
+      );
+      return;
+    }
+    if (!findComponent(canvasComponents, active.id)) return;
+    const group = draggedGroup(active.id);
+    if (group) {
+      if (group.includes(over.id)) return;
+      setCanvasComponents((prev) =>
+        moveComponents(
+          prev,
+          group,
+          target.parentId,
+          groupDropIndex(group, active.id, over.id, target),
+        ),
+      );
+      return;
+    }
+    setCanvasComponents((prev) =>
+      moveComponent(prev, active.id, target.parentId, target.index),
+    );
+  };
+  // Dragging one of several selected items drags the whole selection.
+  const draggedGroup = (activeId) => {
+    if (selectedIds.length < 2 || !selectedIds.includes(activeId)) return null;
+    const group = getOutermostIds(canvasComponents, selectedIds);
+    return group.length > 1 ? group : null;
+  };
+  // Like a single move, the group lands after the sibling it is dropped on
+  // when the dragged item came from above it, and before it otherwise.
+  const groupDropIndex = (group, activeId, overId, target) => {
+    if (target.index === undefined) return undefined;
+    const remaining = group.reduce(removeComponent, canvasComponents);
+    const overIndex = getChildren(remaining, target.parentId).findIndex(
+      (c) => c.id === overId,
+    );
+    const origin = findParent(canvasComponents, activeId);
+    const fromAbove =
+      origin.parentId === target.parentId && origin.index < target.index;
+    return overIndex + (fromAbove ? 1 : 0);
+  };
+  // `toggle` (Shift/Ctrl/Cmd-click) adds or removes the item instead of
+  // replacing the selection.
+  const handleSelect = (id, toggle = false) => {
+    setSelectedIds((prev) => {
+      if (!toggle) return [id];
+      return prev.includes(id) ? prev.filter((i) => i !== id) : [...prev, id];
+    });
+    setSidePanel("properties");
   };
+  // Undo can remove selected components, so look them up rather than trust
+  // the ids.
+  const selectedComponents = useMemo(
+    () =>
+      selectedIds
+        .map((id) => findComponent(canvasComponents, id))
+        .filter(Boolean),
+    [selectedIds, canvasComponents],
+  );
   const selectedComponent = useMemo(
-    () => canvasComponents.find((c) => c.id === selectedComponentId),
+    () => findComponent(canvasComponents, selectedComponentId),
     [selectedComponentId, canvasComponents],
   );
+  const selectedParent = useMemo(() => {
+    const location = findParent(canvasComponents, selectedComponentId);
+    return location?.parentId
+      ? findComponent(canvasComponents, location.parentId)
+      : null;
+  }, [selectedComponentId, canvasComponents]);
 
   return (
-    <DndContext
-      sensors={sensors}
-      collisionDetection={closestCenter}
-      onDragEnd={handleDragEnd}
-    >
-      <div className="flex h-screen bg-slate-100 font-sans">
-        <div className="w-64 bg-slate-50 border-r border-slate-200 p-4 flex flex-col">
-          <h2 className="text-xl font-bold text-slate-800 mb-4">Components</h2>
-          <div className="overflow-y-auto">
-            <SortableContext
-              items={availableComponents}
-              strategy={verticalListSortingStrategy}
-            >
-              {availableComponents.map((id) => (
-                <DraggableSidebarItem key={id} id={id} />
-              ))}
-            </SortableContext>
-          </div>
-        </div>
-        <main className="flex-1 p-8 overflow-y-auto">
-          <div className="flex justify-between items-center mb-6">
-            <h1 className="text-2xl font-bold text-slate-900">Page Canvas</h1>
-            <div className="flex space-x-2">
-              <Button onClick={() => setExportModalOpen(true)}>Export</Button>
-              <Button
-                onClick={() => {
-                  setCanvasComponents([]);
-                  setSelectedComponentId(null);
-                }}
-                variant="destructive"
+    <AssetProvider resolveAsset={assetStore.getAssetUrl}>
+      <DndContext
+        sensors={sensors}
+        collisionDetection={innermostCollision}
+        accessibility={{ announcements, screenReaderInstructions }}
+        onDragStart={() => setIsDragging(true)}
+        onDragCancel={() => setIsDragging(false)}
+        onDragEnd={handleDragEnd}
+      >
+        <div className="flex h-screen bg-slate-100 font-sans">
+          {!isPreview && (
+            <div className="w-64 bg-slate-50 border-r border-slate-200 p-4 flex flex-col">
+              <div
+                role="tablist"
+                className="flex mb-4 border-b border-slate-200"
               >
-                Clear
-              </Button>
+                {[
+                  ["components", "Components"],
+                  ["blocks", "Blocks"],
+                ].map(([name, label]) => (
+                  <button
+                    key={name}
+                    role="tab"
+                    aria-selected={sidebarTab === name}
+                    onClick={() => setSidebarTab(name)}
+                    className={`flex-1 py-2 text-sm font-medium ${sidebarTab === name ? "text-slate-900 border-b-2 border-slate-900" : "text-slate-500 hover:text-slate-700"}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <div className="overflow-y-auto">
+                {sidebarTab === "blocks" ? (
+                  <BlocksPanel blocks={blocks} onRemove={handleDeleteBlock} />
+                ) : (
+                  <SortableContext
+                    items={availableComponents}
+                    strategy={verticalListSortingStrategy}
+                  >
+                    {availableComponents.map((id) => (
+                      <DraggableSidebarItem key={id} id={id} />
+                    ))}
+                  </SortableContext>
+                )}
+              </div>
             </div>
-          </div>
-          <div className="bg-white/50 min-h-full p-4 rounded-xl border border-dashed border-slate-300">
-            <SortableContext
-              items={canvasComponents.map((c) => c.id)}
-              strategy={verticalListSortingStrategy}
-            >
-              <div className="space-y-4">
-                {canvasComponents.length > 0 ? (
-                  canvasComponents.map((c) => (
-                    <SortableCanvasItem
-                      key={c.id}
-                      id={c.id}
-                      component={c}
-                      onSelect={setSelectedComponentId}
-                      isSelected={selectedComponentId === c.id}
-                      onUpdate={handleUpdateComponent}
-                    />
-                  ))
+          )}
+          <main className="flex-1 p-8 overflow-y-auto">
+            <div className="flex justify-between items-center mb-6">
+              <h1 className="text-2xl font-bold text-slate-900">
+                {isPreview ? "Preview" : "Page Canvas"}
+              </h1>
+              <div className="flex space-x-2">
+                <PageToolbar
+                  page={page}
+                  pages={pages}
+                  isDirty={isDirty}
+                  isSaving={isSaving}
+                  saveError={saveError}
+                  onOpen={handleOpenPage}
+                  onNew={handleNewPage}
+                  onSave={handleSavePage}
+                  onRename={handleRenamePage}
+                  onDelete={handleDeletePage}
+                />
+                {!isPreview && (
+                  <>
+                    <Button
+                      onClick={undo}
+                      disabled={!canUndo}
+                      title="Undo (Ctrl+Z)"
+                    >
+                      Undo
+                    </Button>
+                    <Button
+                      onClick={redo}
+                      disabled={!canRedo}
+                      title="Redo (Ctrl+Shift+Z)"
+                    >
+                      Redo
+                    </Button>
+                    <Button onClick={() => setImportModalOpen(true)}>
+                      Import
+                    </Button>
+                  </>
+                )}
+                <Button
+                  onClick={() => {
+                    setPreview((p) => !p);
+                    setSelectedIds([]);
+                  }}
+                  aria-pressed={isPreview}
+                >
+                  {isPreview ? "Back to Editor" : "Preview"}
+                </Button>
+                <Button onClick={() => setExportModalOpen(true)}>Export</Button>
+                {!isPreview && (
+                  <Button
+                    onClick={() => {
+                      setCanvasComponents([]);
+                      setSelectedIds([]);
+                    }}
+                    variant="destructive"
+                  >
+                    Clear
+                  </Button>
+                )}
+              </div>
+            </div>
+            <div className="flex justify-center mb-4">
+              <DeviceSwitcher device={device} onChange={setDevice} />
+            </div>
+            {isPreview ? (
+              // Form values live only as long as the preview is open.
+              <div
+                className="mx-auto transition-all"
+                style={{
+                  maxWidth: deviceWidth ? `${deviceWidth}px` : undefined,
+                }}
+              >
+                <PageRenderer
+                  blueprint={previewPage}
+                  device={device}
+                  className="bg-white min-h-full p-8 rounded-xl shadow-sm"
+                  interactive
+                />
+              </div>
+            ) : (
+              <div
+                ref={canvasRef}
+                className={`relative mx-auto rounded-xl transition-all ${marquee ? "select-none" : ""}`}
+                style={{
+                  ...getThemeStyle(theme),
+                  maxWidth: deviceWidth ? `${deviceWidth}px` : undefined,
+                }}
+                onPointerDown={handleCanvasPointerDown}
+              >
+                <CanvasDropZone
+                  containerId={null}
+                  items={canvasComponents}
+                  selectedIds={selectedIds}
+                  onSelect={handleSelect}
+                  onUpdate={handleUpdateComponent}
+                  onAction={handleItemAction}
+                  onContextMenu={handleContextMenu}
+                  device={device}
+                  page={canvasComponents}
+                  className="bg-white/50 min-h-full p-4 rounded-xl border border-dashed border-slate-300"
+                  emptyText="Drag components here."
+                />
+                {marquee && (
+                  <div
+                    className="absolute pointer-events-none border border-blue-500 bg-blue-500/10"
+                    style={marquee}
+                  />
+                )}
+              </div>
+            )}
+          </main>
+          {!isPreview && (
+            <aside className="w-96 flex flex-col bg-white border-l border-slate-200">
+              <div role="tablist" className="flex border-b border-slate-200">
+                {[
+                  ["properties", "Properties"],
+                  ["theme", "Theme"],
+                ].map(([name, label]) => (
+                  <button
+                    key={name}
+                    role="tab"
+                    aria-selected={sidePanel === name}
+                    onClick={() => setSidePanel(name)}
+                    className={`flex-1 py-3 text-sm font-medium ${sidePanel === name ? "text-slate-900 border-b-2 border-slate-900" : "text-slate-500 hover:text-slate-700"}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <div className="flex-1 min-h-0">
+                {sidePanel === "theme" ? (
+                  <ThemePanel theme={theme} onChange={setTheme} />
+                ) : selectedComponents.length > 1 ? (
+                  <BulkPropertiesPanel
+                    components={selectedComponents}
+                    device={device}
+                    theme={theme}
+                    onStyleChange={handleBulkStyleChange}
+                    onAction={(action) =>
+                      handleItemAction(selectedComponentId, action)
+                    }
+                    onDeselect={() => setSelectedIds([])}
+                  />
                 ) : (
-                  <div className="text-center py-20 pointer-events-none">
-                    <p className="text-slate-500">Drag components here.</p>
-                  </div>
+                  <PropertiesPanel
+                    selectedComponent={selectedComponent}
+                    parentComponent={selectedParent}
+                    page={canvasComponents}
+                    device={device}
+                    theme={theme}
+                    onUpdate={handleUpdateComponent}
+                    onDeselect={() => setSelectedIds([])}
+                  />
                 )}
               </div>
-            </SortableContext>
-          </div>
-        </main>
-        <aside className="w-96">
-          <PropertiesPanel
-            selectedComponent={selectedComponent}
-            onUpdate={handleUpdateComponent}
-            onDeselect={() => setSelectedComponentId(null)}
+            </aside>
+          )}
+        </div>
+        <ExportModal
+          isOpen={isExportModalOpen}
+          onClose={() => setExportModalOpen(false)}
+          components={canvasComponents}
+          pageName={page.name}
+          theme={theme}
+          saved={savedPage}
+        />
+        {isImportModalOpen && (
+          <ImportModal
+            onClose={() => setImportModalOpen(false)}
+            onImport={handleImport}
           />
-        </aside>
-      </div>
-      <ExportModal
-        isOpen={isExportModalOpen}
-        onClose={() => setExportModalOpen(false)}
-        components={canvasComponents}
-      />
-    </DndContext>
+        )}
+        {contextMenuLocation && (
+          <ItemContextMenu
+            menu={contextMenu}
+            index={contextMenuLocation.index}
+            count={
+              getChildren(canvasComponents, contextMenuLocation.parentId).length
+            }
+            selectionCount={
+              selectedIds.includes(contextMenu.id)
+                ? getOutermostIds(canvasComponents, selectedIds).length
+                : 1
+            }
+            onAction={handleItemAction}
+            onClose={closeContextMenu}
+          />
+        )}
+        <div role="status" aria-live="polite" className="sr-only">
+          {status}
+        </div>
+      </DndContext>
+    </AssetProvider>
   );
 }
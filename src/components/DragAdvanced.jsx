@@ -1,6 +1,7 @@
 import React, { useState, useCallback, useMemo } from "react";
 import {
   DndContext,
+  KeyboardSensor,
   PointerSensor,
   useSensor,
   useSensors,
@@ -9,151 +10,32 @@ import {
 import {
   arrayMove,
   SortableContext,
+  sortableKeyboardCoordinates,
   useSortable,
   verticalListSortingStrategy,
 } from "@dnd-kit/sortable";
 import { CSS } from "@dnd-kit/utilities";
-import { Separator } from "@/components/ui/separator";
-
-// --- SHADCN/UI COMPONENT IMPORTS ---
-// In a real project, you would import these directly from your components folder
-// e.g., import { Button } from '@/components/ui/button';
-// For this POC, we'll continue to use mock components.
-
-const Button = React.forwardRef(({ children, variant, ...props }, ref) => (
-  <button
-    ref={ref}
-    className={`px-4 py-2 rounded-lg font-semibold text-white ${variant === "destructive" ? "bg-red-500 hover:bg-red-600" : "bg-slate-900 hover:bg-slate-700"} focus:outline-none focus:ring-2 focus:ring-slate-500 focus:ring-opacity-50 transition-colors`}
-    {...props}
-  >
-    {children}
-  </button>
-));
-Button.displayName = "Button";
-
-const Image = React.forwardRef(({ src, alt, ...props }, ref) => (
-  <img
-    ref={ref}
-    className="w-full rounded-lg shadow-sm"
-    src={src}
-    alt={alt}
-    {...props}
-  />
-));
-Image.displayName = "Image";
-
-const Input = React.forwardRef((props, ref) => (
-  <input
-    ref={ref}
-    className="w-full px-3 py-2 border border-slate-300 rounded-md shadow-sm placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-slate-500 focus:border-slate-500"
-    {...props}
-  />
-));
-Input.displayName = "Input";
+import { AssetProvider, Button } from "@/renderer/components";
+import { getBoxStyle, renderComponent } from "@/renderer/renderComponent";
+import {
+  SCHEMA_VERSION,
+  STYLE_FIELDS,
+  applyFieldChange,
+  createComponent,
+  generateComponentCode,
+  getComponentTypes,
+  getVisibleFields,
+} from "@/registry";
+import { assetStore } from "@/lib/assetStore";
+import useResolvedAssets from "@/hooks/useResolvedAssets";
+import PropertyField from "@/components/PropertyField";
+import {
+  createAnnouncements,
+  screenReaderInstructions,
+} from "@/lib/dndAnnouncements";
 
-const Textarea = React.forwardRef((props, ref) => (
-  <textarea
-    ref={ref}
-    className="w-full px-3 py-2 border border-slate-300 rounded-md shadow-sm placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-slate-500 focus:border-slate-500"
-    {...props}
-  />
-));
-Textarea.displayName = "Textarea";
 // --- COMPONENT INFRASTRUCTURE ---
-// This map is the key to dynamically rendering components.
-const COMPONENT_MAP = {
-  Button,
-  Input,
-  Textarea,
-  Separator,
-  Image,
-};
-
-// Default props and styles for new components.
-const DEFAULT_PROPS = {
-  Button: {
-    text: "Click Me",
-    variant: "default",
-    styles: {
-      marginTop: 0,
-      marginBottom: 8,
-      marginLeft: 0,
-      marginRight: 0,
-      fontSize: 14,
-      color: "#FFFFFF",
-    },
-  },
-  Input: {
-    label: "Field Label",
-    placeholder: "Enter value...",
-    styles: {
-      marginTop: 10,
-      marginBottom: 4,
-      marginLeft: 0,
-      marginRight: 0,
-      fontSize: 14,
-      color: "#334155",
-    },
-  },
-  Textarea: {
-    label: "Message",
-    placeholder: "Your message here",
-    styles: {
-      marginTop: 10,
-      marginBottom: 4,
-      marginLeft: 0,
-      marginRight: 0,
-      fontSize: 14,
-      color: "#334155",
-    },
-  },
-  Select: {
-    label: "Choose an option",
-    options: "Option 1,Option 2,Option 3",
-    styles: {
-      marginTop: 10,
-      marginBottom: 4,
-      marginLeft: 0,
-      marginRight: 0,
-      fontSize: 14,
-      color: "#334155",
-    },
-  },
-  Checkbox: {
-    label: "Accept terms",
-    checked: false,
-    styles: {
-      marginTop: 10,
-      marginBottom: 4,
-      marginLeft: 0,
-      marginRight: 0,
-      fontSize: 14,
-      color: "#334155",
-    },
-  },
-  Separator: {
-    styles: {
-      marginTop: 10,
-      marginBottom: 4,
-      marginLeft: 0,
-      marginRight: 0,
-      fontSize: 14,
-      color: "#334155",
-    },
-  },
-  Image: {
-    src: "https://www.dekoder.com/assets/mediaasset/image/DBD8X9/DBD8X9_600fd5934baa4c06b4ea595b9634a7a7.jpeg",
-    alt: "A beautiful sunset",
-    styles: {
-      marginTop: 10,
-      marginBottom: 4,
-      marginLeft: 0,
-      marginRight: 0,
-      fontSize: 14,
-      color: "#334155",
-    },
-  },
-};
+const PALETTE = ["Button", "Input", "Textarea", "Separator", "Image"];
 
 // --- Draggable UI Components ---
 const DraggableSidebarItem = ({ id }) => {
@@ -176,80 +58,16 @@ const DraggableSidebarItem = ({ id }) => {
 const SortableCanvasItem = ({ id, component, onSelect, isSelected }) => {
   const { attributes, listeners, setNodeRef, transform, transition } =
     useSortable({ id });
-  const { styles, ...props } = component.props;
-
   const componentStyle = {
+    ...getBoxStyle(component),
     transform: CSS.Transform.toString(transform),
     transition,
-    marginTop: `${styles.marginTop}px`,
-    marginBottom: `${styles.marginBottom}px`,
-    marginLeft: `${styles.marginLeft}px`,
-    marginRight: `${styles.marginRight}px`,
-  };
-
-  const textStyle = {
-    fontSize: `${styles.fontSize}px`,
-    color: styles.color,
   };
 
   const selectionClasses = isSelected
     ? "ring-2 ring-blue-500 ring-offset-2"
     : "hover:ring-2 hover:ring-blue-300";
 
-  const renderComponent = () => {
-    const Component = COMPONENT_MAP[component.type];
-    if (!Component) return <div>Unknown Component</div>;
-
-    const label = (
-      <label className="font-medium text-sm" style={textStyle}>
-        {props.label}
-      </label>
-    );
-
-    switch (component.type) {
-      case "Input":
-        return (
-          <div className="w-full space-y-2">
-            {label}
-            <Input placeholder={props.placeholder} readOnly />
-          </div>
-        );
-      case "Textarea":
-        return (
-          <div className="w-full space-y-2">
-            {label}
-            <Textarea placeholder={props.placeholder} readOnly />
-          </div>
-        );
-      case "Select":
-        return (
-          <div className="w-full space-y-2">
-            {label}
-            <Select options={props.options.split(",")} readOnly />
-          </div>
-        );
-      case "Checkbox":
-        return <Checkbox label={props.label} style={textStyle} readOnly />;
-      case "Button":
-        return (
-          <Button
-            variant={props.variant}
-            style={{ ...textStyle, backgroundColor: "#1E293B" }}
-          >
-            {props.text}
-          </Button>
-        );
-      case "Separator":
-        return (
-          <Separator style={{ ...textStyle, backgroundColor: "#1E293B" }} />
-        );
-      case "Image":
-        return <Image src={props.src} alt={props.alt} style={textStyle} />;
-      default:
-        return <Component {...props} />;
-    }
-  };
-
   return (
     <div
       ref={setNodeRef}
@@ -259,7 +77,7 @@ const SortableCanvasItem = ({ id, component, onSelect, isSelected }) => {
       className={`p-4 bg-white rounded-lg shadow-sm cursor-grab ${selectionClasses} transition-all`}
       onClick={() => onSelect(id)}
     >
-      {renderComponent()}
+      {renderComponent(component)}
     </div>
   );
 };
@@ -276,107 +94,12 @@ const PropertiesPanel = ({ selectedComponent, onUpdate, onDeselect }) => {
       </div>
     );
 
-  const { type, props } = selectedComponent;
-
-  const handlePropChange = (e) =>
-    onUpdate(selectedComponent.id, {
-      ...props,
-      [e.target.name]:
-        e.target.type === "checkbox" ? e.target.checked : e.target.value,
-    });
-  const handleStyleChange = (e) =>
-    onUpdate(selectedComponent.id, {
-      ...props,
-      styles: {
-        ...props.styles,
-        [e.target.name]:
-          e.target.type === "number"
-            ? parseInt(e.target.value, 10)
-            : e.target.value,
-      },
-    });
-
-  const renderFields = () => {
-    switch (type) {
-      case "Input":
-      case "Textarea":
-      case "Select":
-      case "Checkbox":
-        return (
-          <>
-            {" "}
-            <div className="space-y-2">
-              <label htmlFor="label" className="font-medium text-sm">
-                Label
-              </label>
-              <Input
-                name="label"
-                id="label"
-                value={props.label}
-                onChange={handlePropChange}
-              />
-            </div>{" "}
-            {type === "Input" && (
-              <div className="space-y-2">
-                <label htmlFor="placeholder" className="font-medium text-sm">
-                  Placeholder
-                </label>
-                <Input
-                  name="placeholder"
-                  id="placeholder"
-                  value={props.placeholder}
-                  onChange={handlePropChange}
-                />
-              </div>
-            )}{" "}
-            {type === "Select" && (
-              <div className="space-y-2">
-                <label htmlFor="options" className="font-medium text-sm">
-                  Options (comma-separated)
-                </label>
-                <Textarea
-                  name="options"
-                  id="options"
-                  value={props.options}
-                  onChange={handlePropChange}
-                />
-              </div>
-            )}{" "}
-          </>
-        );
-      case "Button":
-        return (
-          <>
-            {" "}
-            <div className="space-y-2">
-              <label htmlFor="text" className="font-medium text-sm">
-                Button Text
-              </label>
-              <Input
-                name="text"
-                id="text"
-                value={props.text}
-                onChange={handlePropChange}
-              />
-            </div>{" "}
-            <div className="space-y-2">
-              <label htmlFor="variant" className="font-medium text-sm">
-                Variant
-              </label>
-              <Select
-                name="variant"
-                id="variant"
-                value={props.variant}
-                onChange={handlePropChange}
-                options={["default", "destructive"]}
-              />
-            </div>{" "}
-          </>
-        );
-      default:
-        return <p>No editable properties.</p>;
-    }
-  };
+  const { id, type, props } = selectedComponent;
+  const fields = getVisibleFields(selectedComponent);
+  const handlePropChange = (name, value) =>
+    onUpdate(id, applyFieldChange(selectedComponent, name, value));
+  const handleStyleChange = (name, value) =>
+    onUpdate(id, { ...props, styles: { ...props.styles, [name]: value } });
 
   return (
     <div className="p-6 bg-white h-full border-l border-slate-200 overflow-y-auto">
@@ -391,79 +114,34 @@ const PropertiesPanel = ({ selectedComponent, onUpdate, onDeselect }) => {
           &times; Close
         </button>
       </div>
-      <div className="space-y-4">{renderFields()}</div>
+      <div className="space-y-4">
+        {fields.length > 0 ? (
+          fields.map((field) => (
+            <PropertyField
+              key={`${id}:${field.name}`}
+              field={field}
+              value={props[field.name]}
+              onChange={handlePropChange}
+            />
+          ))
+        ) : (
+          <p>No editable properties.</p>
+        )}
+      </div>
       <hr className="my-6" />
       <h4 className="font-semibold text-md text-slate-800 mb-4">Styling</h4>
       <div className="grid grid-cols-2 gap-4">
-        <div className="space-y-2 col-span-2">
-          <label htmlFor="color" className="font-medium text-sm">
-            Font Color
-          </label>
-          <Input
-            type="color"
-            name="color"
-            id="color"
-            value={props.styles.color}
-            onChange={handleStyleChange}
-            className="w-full h-10"
-          />
-        </div>
-        <div className="space-y-2 col-span-2">
-          <label htmlFor="fontSize" className="font-medium text-sm">
-            Font Size (px)
-          </label>
-          <Input
-            type="number"
-            name="fontSize"
-            id="fontSize"
-            value={props.styles.fontSize}
-            onChange={handleStyleChange}
-          />
-        </div>
-        <div className="space-y-2">
-          <label htmlFor="marginTop" className="font-medium text-sm">
-            Margin Top
-          </label>
-          <Input
-            type="number"
-            name="marginTop"
-            value={props.styles.marginTop}
+        {STYLE_FIELDS.filter(
+          (field) => props.styles[field.name] !== undefined,
+        ).map((field) => (
+          <PropertyField
+            key={`${id}:${field.name}`}
+            field={field}
+            value={props.styles[field.name]}
             onChange={handleStyleChange}
+            className={field.wide ? "col-span-2" : ""}
           />
-        </div>
-        <div className="space-y-2">
-          <label htmlFor="marginBottom" className="font-medium text-sm">
-            Margin Bottom
-          </label>
-          <Input
-            type="number"
-            name="marginBottom"
-            value={props.styles.marginBottom}
-            onChange={handleStyleChange}
-          />
-        </div>
-        <div className="space-y-2">
-          <label htmlFor="marginLeft" className="font-medium text-sm">
-            Margin Left
-          </label>
-          <Input
-            type="number"
-            name="marginLeft"
-            value={props.styles.marginLeft}
-            onChange={handleStyleChange}
-          />
-        </div>
-        <div className="space-y-2">
-          <label htmlFor="marginRight" className="font-medium text-sm">
-            Margin Right
-          </label>
-          <Input
-            type="number"
-            name="marginRight"
-            value={props.styles.marginRight}
-            onChange={handleStyleChange}
-          />
-        </div>
+        ))}
       </div>
     </div>
   );
@@ -471,36 +149,11 @@ const PropertiesPanel = ({ selectedComponent, onUpdate, onDeselect }) => {
 
 // --- Export Modal ---
 const ExportModal = ({ isOpen, onClose, components }) => {
+  const exported = useResolvedAssets(components, isOpen);
   if (!isOpen) return null;
 
-  const generateComponentCode = () => {
-    const componentJSX = components
-      .map((c) => {
-        const { styles, ...props } = c.props;
-        const styleString = `style={{ marginTop: '${styles.marginTop}px', marginBottom: '${styles.marginBottom}px', marginLeft: '${styles.marginLeft}px', marginRight: '${styles.marginRight}px', fontSize: '${styles.fontSize}px', color: '${styles.color}' }}`;
-        const propsString = Object.entries(props)
-          .map(([key, value]) => {
-            if (typeof value === "string" && key !== "options")
-              return `${key}="${value}"`;
-            if (key === "options")
-              return `${key}={[${value
-                .split(",")
-                .map((v) => `'${v}'`)
-                .join(",")}]}`;
-            return `${key}={${JSON.stringify(value)}}`;
-          })
-          .join(" ");
-        return `    <${c.type} ${propsString} ${styleString} />`;
-      })
-      .join("\n");
-
-    const imports = `import { ${[...new Set(components.map((c) => c.type))].join(", ")} } from '@/components/ui'; // Adjust path as needed`;
-
-    return `import React, { useState, useEffect } from 'react';\n${imports}\n\nexport default function GeneratedPage() {\n  const [formData, setFormData] = useState({});\n\n  useEffect(() => {\n    // API call to fetch initial data for the form would go here.\n  }, []);\n\n  return (\n    <div className="p-8 space-y-4">\n${componentJSX}\n    </div>\n  );\n}`;
-  };
-
   const pageJson = JSON.stringify(
-    { name: "Exported Page", components },
+    { schemaVersion: SCHEMA_VERSION, name: "Exported Page", components },
     null,
     2,
   );
@@ -518,7 +171,7 @@ const ExportModal = ({ isOpen, onClose, components }) => {
           <div>
             <h3 className="font-semibold mb-2">Generated React Component</h3>
             <pre className="bg-slate-900 text-white p-4 rounded-lg text-sm overflow-x-auto h-[calc(80vh-100px)]">
-              {generateComponentCode()}
+              {exported ? generateComponentCode(exported) : "Reading images…"}
             </pre>
           </div>
           <div>
@@ -535,23 +188,25 @@ const ExportModal = ({ isOpen, onClose, components }) => {
 
 // --- Main App Component ---
 export default function DragAdvanced() {
-  const availableComponents = useMemo(() => Object.keys(COMPONENT_MAP), []);
+  const availableComponents = useMemo(() => getComponentTypes(PALETTE), []);
   const [canvasComponents, setCanvasComponents] = useState([]);
   const [selectedComponentId, setSelectedComponentId] = useState(null);
   const [isExportModalOpen, setExportModalOpen] = useState(false);
-  const sensors = useSensors(useSensor(PointerSensor));
+  const sensors = useSensors(
+    useSensor(PointerSensor),
+    useSensor(KeyboardSensor, {
+      coordinateGetter: sortableKeyboardCoordinates,
+    }),
+  );
+  const announcements = useMemo(
+    () => createAnnouncements(canvasComponents, availableComponents),
+    [canvasComponents, availableComponents],
+  );
 
   const handleDragEnd = ({ active, over }) => {
     if (!over) return;
     if (availableComponents.includes(active.id)) {
-      setCanvasComponents((c) => [
-        ...c,
-        {
-          id: `${active.id}-${Date.now()}`,
-          type: active.id,
-          props: DEFAULT_PROPS[active.id],
-        },
-      ]);
+      setCanvasComponents((c) => [...c, createComponent(active.id)]);
     } else if (active.id !== over.id) {
       const oldIndex = canvasComponents.findIndex((c) => c.id === active.id);
       const newIndex = canvasComponents.findIndex((c) => c.id === over.id);
@@ -570,79 +225,84 @@ export default function DragAdvanced() {
   );
 
   return (
-    <DndContext
-      sensors={sensors}
-      collisionDetection={closestCenter}
-      onDragEnd={handleDragEnd}
-    >
-      <div className="flex h-screen bg-slate-100 font-sans">
-        <div className="w-64 bg-slate-50 border-r border-slate-200 p-4 flex flex-col">
-          <h2 className="text-xl font-bold text-slate-800 mb-4">Components</h2>
-          <div className="overflow-y-auto">
-            <SortableContext
-              items={availableComponents}
-              strategy={verticalListSortingStrategy}
-            >
-              {availableComponents.map((id) => (
-                <DraggableSidebarItem key={id} id={id} />
-              ))}
-            </SortableContext>
-          </div>
-        </div>
-        <main className="flex-1 p-8 overflow-y-auto">
-          <div className="flex justify-between items-center mb-6">
-            <h1 className="text-2xl font-bold text-slate-900">Page Canvas</h1>
-            <div className="flex space-x-2">
-              <Button onClick={() => setExportModalOpen(true)}>Export</Button>
-              <Button
-                onClick={() => {
-                  setCanvasComponents([]);
-                  setSelectedComponentId(null);
-                }}
-                variant="destructive"
+    <AssetProvider resolveAsset={assetStore.getAssetUrl}>
+      <DndContext
+        sensors={sensors}
+        collisionDetection={closestCenter}
+        accessibility={{ announcements, screenReaderInstructions }}
+        onDragEnd={handleDragEnd}
+      >
+        <div className="flex h-screen bg-slate-100 font-sans">
+          <div className="w-64 bg-slate-50 border-r border-slate-200 p-4 flex flex-col">
+            <h2 className="text-xl font-bold text-slate-800 mb-4">
+              Components
+            </h2>
+            <div className="overflow-y-auto">
+              <SortableContext
+                items={availableComponents}
+                strategy={verticalListSortingStrategy}
               >
-                Clear
-              </Button>
+                {availableComponents.map((id) => (
+                  <DraggableSidebarItem key={id} id={id} />
+                ))}
+              </SortableContext>
             </div>
           </div>
-          <div className="bg-white/50 min-h-full p-4 rounded-xl border border-dashed border-slate-300">
-            <SortableContext
-              items={canvasComponents.map((c) => c.id)}
-              strategy={verticalListSortingStrategy}
-            >
-              <div className="space-y-4">
-                {canvasComponents.length > 0 ? (
-                  canvasComponents.map((c) => (
-                    <SortableCanvasItem
-                      key={c.id}
-                      id={c.id}
-                      component={c}
-                      onSelect={setSelectedComponentId}
-                      isSelected={selectedComponentId === c.id}
-                    />
-                  ))
-                ) : (
-                  <div className="text-center py-20">
-                    <p className="text-slate-500">Drag components here.</p>
-                  </div>
-                )}
+          <main className="flex-1 p-8 overflow-y-auto">
+            <div className="flex justify-between items-center mb-6">
+              <h1 className="text-2xl font-bold text-slate-900">Page Canvas</h1>
+              <div className="flex space-x-2">
+                <Button onClick={() => setExportModalOpen(true)}>Export</Button>
+                <Button
+                  onClick={() => {
+                    setCanvasComponents([]);
+                    setSelectedComponentId(null);
+                  }}
+                  variant="destructive"
+                >
+                  Clear
+                </Button>
               </div>
-            </SortableContext>
-          </div>
-        </main>
-        <aside className="w-96">
-          <PropertiesPanel
-            selectedComponent={selectedComponent}
-            onUpdate={handleUpdateComponent}
-            onDeselect={() => setSelectedComponentId(null)}
-          />
-        </aside>
-      </div>
-      <ExportModal
-        isOpen={isExportModalOpen}
-        onClose={() => setExportModalOpen(false)}
-        components={canvasComponents}
-      />
-    </DndContext>
+            </div>
+            <div className="bg-white/50 min-h-full p-4 rounded-xl border border-dashed border-slate-300">
+              <SortableContext
+                items={canvasComponents.map((c) => c.id)}
+                strategy={verticalListSortingStrategy}
+              >
+                <div className="space-y-4">
+                  {canvasComponents.length > 0 ? (
+                    canvasComponents.map((c) => (
+                      <SortableCanvasItem
+                        key={c.id}
+                        id={c.id}
+                        component={c}
+                        onSelect={setSelectedComponentId}
+                        isSelected={selectedComponentId === c.id}
+                      />
+                    ))
+                  ) : (
+                    <div className="text-center py-20">
+                      <p className="text-slate-500">Drag components here.</p>
+                    </div>
+                  )}
+                </div>
+              </SortableContext>
+            </div>
+          </main>
+          <aside className="w-96">
+            <PropertiesPanel
+              selectedComponent={selectedComponent}
+              onUpdate={handleUpdateComponent}
+              onDeselect={() => setSelectedComponentId(null)}
+            />
+          </aside>
+        </div>
+        <ExportModal
+          isOpen={isExportModalOpen}
+          onClose={() => setExportModalOpen(false)}
+          components={canvasComponents}
+        />
+      </DndContext>
+    </AssetProvider>
   );
 }
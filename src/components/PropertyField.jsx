@@ -0,0 +1,381 @@
+import { useCallback, useEffect, useState } from "react";
+import { Image, Input, Select, Table, Textarea } from "@/renderer/components";
+import { assetStore, toAssetRef } from "@/lib/assetStore";
+import {
+  DEFAULT_THEME,
+  TOKENS,
+  isToken,
+  resolveToken,
+  validateField,
+} from "@/registry";
+
+const parseValue = (field, e) => {
+  if (field.type === "boolean") return e.target.checked;
+  if (field.type === "number") {
+    if (e.target.value === "") return field.nullable ? null : NaN;
+    return Number(e.target.value);
+  }
+  return e.target.value;
+};
+
+// What a control shows for a mixed value (color inputs need a valid color).
+const MIXED_VALUES = {
+  boolean: false,
+  color: "#000000",
+  list: [],
+  number: "",
+  string: "",
+  text: "",
+  enum: "",
+  image: "",
+};
+
+const ListEditor = ({ field, id, value, onChange }) => {
+  const setItem = (index, item) =>
+    onChange(value.map((v, i) => (i === index ? item : v)));
+  return (
+    <div className="space-y-2">
+      {value.map((item, index) => (
+        <div key={index} className="flex items-center space-x-2">
+          <Input
+            id={index === 0 ? id : undefined}
+            aria-label={`${field.itemLabel ?? "Item"} ${index + 1}`}
+            value={item}
+            onChange={(e) => setItem(index, e.target.value)}
+          />
+          <button
+            type="button"
+            onClick={() => onChange(value.filter((_, i) => i !== index))}
+            className="px-2 text-lg text-slate-500 hover:text-red-600"
+            aria-label={`Remove ${field.itemLabel ?? "item"} ${index + 1}`}
+          >
+            &times;
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() =>
+          onChange([
+            ...value,
+            `${field.itemLabel ?? "Item"} ${value.length + 1}`,
+          ])
+        }
+        className="text-sm font-medium text-blue-600 hover:text-blue-800"
+      >
+        + Add {field.itemLabel ?? "item"}
+      </button>
+    </div>
+  );
+};
+
+// Chart data: an editable grid with labels in the first column and one series
+// per further column, grown and shrunk through the Table's own toolbar.
+const DataEditor = ({ value, onChange }) => (
+  <div className="overflow-x-auto text-sm">
+    <Table
+      data={value}
+      hasHeader
+      minCols={2}
+      typedColumns={false}
+      onDataChange={onChange}
+    />
+  </div>
+);
+
+// Thumbnails of the images in the asset library; picking one sets the field
+// to its asset reference, and uploads are added to the library first.
+// Deleting an asset leaves other components that use it showing a
+// placeholder, so it asks first.
+const AssetPicker = ({ field, id, value, onChange }) => {
+  const [assets, setAssets] = useState([]);
+  const [error, setError] = useState(null);
+  const loadAssets = useCallback(
+    () =>
+      assetStore.listAssets().then(setAssets, () => {
+        setError("The image library could not be opened.");
+      }),
+    [],
+  );
+  useEffect(() => {
+    loadAssets();
+  }, [loadAssets]);
+
+  const handleUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file || !file.type.startsWith("image/")) return;
+    try {
+      const asset = await assetStore.saveAsset(file);
+      setError(null);
+      onChange(toAssetRef(asset.id));
+    } catch {
+      setError(`"${file.name}" could not be saved.`);
+    }
+    await loadAssets();
+  };
+  const handleDelete = async (asset) => {
+    if (!window.confirm(`Delete "${asset.name}" from the image library?`))
+      return;
+    try {
+      await assetStore.deleteAsset(asset.id);
+      setError(null);
+      if (value === toAssetRef(asset.id)) onChange(field.default);
+    } catch {
+      setError(`"${asset.name}" could not be deleted.`);
+    }
+    await loadAssets();
+  };
+
+  return (
+    <div className="space-y-2 pt-2">
+      {assets.length > 0 && (
+        <div
+          role="group"
+          aria-label="Image library"
+          className="grid grid-cols-4 gap-2"
+        >
+          {assets.map((asset) => {
+            const ref = toAssetRef(asset.id);
+            return (
+              <div key={asset.id} className="relative group">
+                <button
+                  type="button"
+                  onClick={() => onChange(ref)}
+                  aria-pressed={value === ref}
+                  aria-label={asset.name}
+                  title={asset.name}
+                  className={`block w-full rounded-md overflow-hidden border-2 ${
+                    value === ref
+                      ? "border-blue-500"
+                      : "border-transparent hover:border-slate-300"
+                  }`}
+                >
+                  <Image
+                    src={ref}
+                    alt=""
+                    className="h-14 w-full object-cover bg-slate-100"
+                  />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleDelete(asset)}
+                  aria-label={`Delete ${asset.name}`}
+                  className="absolute top-0.5 right-0.5 hidden group-hover:block group-focus-within:block rounded-full bg-white/90 px-1.5 text-sm leading-5 text-slate-500 hover:text-red-600"
+                >
+                  &times;
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+      <label htmlFor={`${id}-upload`} className="block font-medium text-sm">
+        Upload an Image
+      </label>
+      <Input
+        type="file"
+        id={`${id}-upload`}
+        accept="image/*"
+        onChange={handleUpload}
+      />
+      {error && (
+        <p role="alert" className="text-xs text-red-600">
+          {error}
+        </p>
+      )}
+    </div>
+  );
+};
+
+// Picks a theme token for fields that accept one; "Custom" switches back to a
+// literal value, starting from what the token currently resolves to.
+const TokenSelect = ({ field, value, theme, onChange }) => (
+  <select
+    aria-label={`${field.label} token`}
+    value={isToken(value) ? value : ""}
+    onChange={(e) => onChange(e.target.value || resolveToken(value, theme))}
+    className="px-2 py-2 border border-slate-300 rounded-md shadow-sm text-sm focus:outline-none focus:ring-2 focus:ring-slate-500"
+  >
+    <option value="">Custom</option>
+    {TOKENS[field.tokens].map((name) => (
+      <option key={name} value={`$${name}`}>
+        {name}
+      </option>
+    ))}
+  </select>
+);
+
+// Editor for one entry of a registry `fields` (or STYLE_FIELDS) list. Calls
+// onChange(name, value) with the value parsed for the field type, but only once
+// it passes validateField; until then the draft and its message stay local.
+// `theme` resolves token values for display. `mixed` marks a field edited
+// across several components whose values differ; it shows empty until set.
+const PropertyField = ({
+  field,
+  value,
+  onChange,
+  theme = DEFAULT_THEME,
+  mixed = false,
+  className = "",
+}) => {
+  const id = `field-${field.name}`;
+  const [draft, setDraft] = useState(null);
+  useEffect(() => setDraft(null), [value]);
+
+  const isMixed = mixed && !draft;
+  const shownValue = draft
+    ? draft.value
+    : isMixed
+      ? MIXED_VALUES[field.type]
+      : (value ?? field.default);
+  const tokenValue = field.tokens && isToken(shownValue) ? shownValue : null;
+  const controlValue = tokenValue
+    ? resolveToken(tokenValue, theme)
+    : shownValue;
+  // `shown` is what the control displays while invalid, e.g. the raw text of
+  // a number input.
+  const commit = (next, shown = next) => {
+    const error = validateField(field, next);
+    if (error) return setDraft({ value: shown, error });
+    setDraft(null);
+    onChange(field.name, next);
+  };
+  const handleChange = (e) => commit(parseValue(field, e), e.target.value);
+
+  const message = draft?.error && (
+    <p role="alert" className="text-xs text-red-600">
+      {draft.error}
+    </p>
+  );
+
+  if (field.type === "boolean") {
+    return (
+      <div className={`flex items-center space-x-2 ${className}`}>
+        <input
+          type="checkbox"
+          name={field.name}
+          id={id}
+          checked={!!shownValue}
+          onChange={handleChange}
+          className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+        />
+        <label htmlFor={id} className="font-medium text-sm">
+          {field.label}
+        </label>
+      </div>
+    );
+  }
+
+  const renderControl = () => {
+    switch (field.type) {
+      case "text":
+        return (
+          <Textarea
+            name={field.name}
+            id={id}
+            value={shownValue}
+            onChange={handleChange}
+            rows={field.rows}
+          />
+        );
+      case "enum":
+        return (
+          <Select
+            name={field.name}
+            id={id}
+            value={shownValue}
+            onChange={handleChange}
+            options={field.options}
+          />
+        );
+      case "color":
+        return (
+          <Input
+            type="color"
+            name={field.name}
+            id={id}
+            value={controlValue}
+            disabled={!!tokenValue}
+            onChange={handleChange}
+            className="w-full h-10"
+          />
+        );
+      case "data":
+        return (
+          <DataEditor value={shownValue} onChange={(next) => commit(next)} />
+        );
+      case "list":
+        return (
+          <ListEditor
+            field={field}
+            id={id}
+            value={shownValue}
+            onChange={(next) => commit(next)}
+          />
+        );
+      case "image":
+        return (
+          <>
+            <Input
+              name={field.name}
+              id={id}
+              value={shownValue}
+              onChange={handleChange}
+            />
+            <AssetPicker
+              field={field}
+              id={id}
+              value={shownValue}
+              onChange={(next) => commit(next)}
+            />
+          </>
+        );
+      default:
+        return (
+          <Input
+            type={field.type === "number" ? "number" : "text"}
+            name={field.name}
+            id={id}
+            min={field.min}
+            max={field.max}
+            step={field.type === "number" && !field.integer ? "any" : undefined}
+            placeholder={isMixed ? "Mixed" : undefined}
+            value={controlValue ?? ""}
+            disabled={!!tokenValue}
+            onChange={handleChange}
+          />
+        );
+    }
+  };
+
+  return (
+    <div className={`space-y-2 ${className}`}>
+      <label htmlFor={id} className="font-medium text-sm">
+        {field.label}
+        {field.required && <span className="text-red-600"> *</span>}
+        {isMixed && (
+          <span className="ml-1 text-xs font-normal text-slate-400">
+            (mixed)
+          </span>
+        )}
+      </label>
+      {field.tokens ? (
+        <div className="flex space-x-2">
+          <div className="flex-1 min-w-0">{renderControl()}</div>
+          <TokenSelect
+            field={field}
+            value={shownValue}
+            theme={theme}
+            onChange={(next) => commit(next)}
+          />
+        </div>
+      ) : (
+        renderControl()
+      )}
+      {message}
+    </div>
+  );
+};
+
+export default PropertyField;
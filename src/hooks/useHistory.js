@@ -0,0 +1,91 @@
+import { useCallback, useReducer } from "react";
+
+// Updates sharing a coalesce key within this window collapse into one step,
+// so typing "Hello" into a field is undone in one go, not letter by letter.
+const COALESCE_WINDOW_MS = 1000;
+const MAX_HISTORY = 100;
+
+const createHistory = (present) => ({
+  past: [],
+  present,
+  future: [],
+  lastKey: null,
+  lastTime: 0,
+});
+
+const historyReducer = (state, action) => {
+  switch (action.type) {
+    case "set": {
+      const next =
+        typeof action.updater === "function"
+          ? action.updater(state.present)
+          : action.updater;
+      if (next === state.present) return state;
+      const coalesce =
+        action.key != null &&
+        action.key === state.lastKey &&
+        action.time - state.lastTime < COALESCE_WINDOW_MS;
+      return {
+        past: coalesce
+          ? state.past
+          : [...state.past, state.present].slice(-MAX_HISTORY),
+        present: next,
+        future: [],
+        lastKey: action.key,
+        lastTime: action.time,
+      };
+    }
+    case "undo": {
+      if (!state.past.length) return state;
+      return {
+        past: state.past.slice(0, -1),
+        present: state.past[state.past.length - 1],
+        future: [state.present, ...state.future],
+        lastKey: null,
+        lastTime: 0,
+      };
+    }
+    case "redo": {
+      if (!state.future.length) return state;
+      return {
+        past: [...state.past, state.present],
+        present: state.future[0],
+        future: state.future.slice(1),
+        lastKey: null,
+        lastTime: 0,
+      };
+    }
+    case "reset":
+      return createHistory(action.value);
+    default:
+      return state;
+  }
+};
+
+export default function useHistory(initialPresent) {
+  const [state, dispatch] = useReducer(
+    historyReducer,
+    initialPresent,
+    createHistory,
+  );
+
+  // `coalesceKey` is optional; omit it for discrete actions like adds or clears.
+  const set = useCallback(
+    (updater, coalesceKey) =>
+      dispatch({ type: "set", updater, key: coalesceKey, time: Date.now() }),
+    [],
+  );
+  const undo = useCallback(() => dispatch({ type: "undo" }), []);
+  const redo = useCallback(() => dispatch({ type: "redo" }), []);
+  const reset = useCallback((value) => dispatch({ type: "reset", value }), []);
+
+  return {
+    present: state.present,
+    set,
+    undo,
+    redo,
+    reset,
+    canUndo: state.past.length > 0,
+    canRedo: state.future.length > 0,
+  };
+}
@@ -0,0 +1,67 @@
+import { useCallback, useState } from "react";
+
+// Pointer drags shorter than this are treated as clicks on empty space.
+const MIN_MARQUEE_SIZE = 4;
+
+const toRect = (start, end) => ({
+  left: Math.min(start.x, end.x),
+  top: Math.min(start.y, end.y),
+  width: Math.abs(end.x - start.x),
+  height: Math.abs(end.y - start.y),
+});
+
+// Rubber-band selection inside `containerRef`. Dragging from empty space (not
+// from an element matching `itemSelector`) draws a rectangle, which is
+// returned relative to the container for rendering. On release, onSelect gets
+// the data-component-id of every item fully inside it and whether shift was
+// held; a click without a drag calls onSelect([], shiftKey).
+const useMarqueeSelection = (containerRef, itemSelector, onSelect) => {
+  const [marquee, setMarquee] = useState(null);
+
+  const onPointerDown = useCallback(
+    (e) => {
+      if (e.button !== 0 || e.target.closest(itemSelector)) return;
+      const container = containerRef.current;
+      const origin = container.getBoundingClientRect();
+      const start = { x: e.clientX, y: e.clientY };
+      const toLocal = (rect) => ({
+        ...rect,
+        left: rect.left - origin.left,
+        top: rect.top - origin.top,
+      });
+      const handleMove = (move) =>
+        setMarquee(
+          toLocal(toRect(start, { x: move.clientX, y: move.clientY })),
+        );
+      const handleUp = (up) => {
+        window.removeEventListener("pointermove", handleMove);
+        window.removeEventListener("pointerup", handleUp);
+        setMarquee(null);
+        const rect = toRect(start, { x: up.clientX, y: up.clientY });
+        if (rect.width < MIN_MARQUEE_SIZE && rect.height < MIN_MARQUEE_SIZE) {
+          onSelect([], up.shiftKey);
+          return;
+        }
+        const ids = [...container.querySelectorAll(itemSelector)]
+          .filter((item) => {
+            const r = item.getBoundingClientRect();
+            return (
+              r.left >= rect.left &&
+              r.top >= rect.top &&
+              r.right <= rect.left + rect.width &&
+              r.bottom <= rect.top + rect.height
+            );
+          })
+          .map((item) => item.dataset.componentId);
+        onSelect(ids, up.shiftKey);
+      };
+      window.addEventListener("pointermove", handleMove);
+      window.addEventListener("pointerup", handleUp);
+    },
+    [containerRef, itemSelector, onSelect],
+  );
+
+  return { marquee, onPointerDown };
+};
+
+export default useMarqueeSelection;
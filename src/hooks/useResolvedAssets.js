@@ -0,0 +1,24 @@
+import { useEffect, useState } from "react";
+import { assetStore, resolveAssets } from "@/lib/assetStore";
+
+// The components with their asset references replaced by URLs that work
+// outside this browser (see resolveAssets), for exports. Null while they are
+// being read, or while `enabled` is false.
+const useResolvedAssets = (components, enabled = true) => {
+  const [resolved, setResolved] = useState(null);
+  useEffect(() => {
+    if (!enabled) return;
+    let cancelled = false;
+    resolveAssets(components, assetStore).then(
+      (result) => !cancelled && setResolved({ components, result }),
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, [components, enabled]);
+  return enabled && resolved?.components === components
+    ? resolved.result
+    : null;
+};
+
+export default useResolvedAssets;
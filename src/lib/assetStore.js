@@ -0,0 +1,179 @@
+import axios from "axios";
+
+// --- ASSET STORE ---
+// Uploaded images are kept out of the blueprint: image fields reference them
+// as "asset:<id>", where the id is derived from the file's contents, so it
+// stays the same across saves, reloads and re-uploads. Like the page and
+// block stores this is an async, swappable interface:
+//   listAssets()         - [{ id, name, type, size, createdAt }], newest first
+//   saveAsset(file)      - stores an image file, resolves to its entry
+//   getAssetUrl(id)      - a URL to display it in this browser, or null
+//   exportAssetUrl(id)   - a URL that works anywhere (exports), or null
+//   deleteAsset(id)
+// The IndexedDB store keeps the files in this browser; createUploadAssetStore
+// sends them to a server instead.
+
+const ASSET_PREFIX = "asset:";
+
+export const isAssetRef = (value) =>
+  typeof value === "string" && value.startsWith(ASSET_PREFIX);
+
+export const toAssetRef = (id) => `${ASSET_PREFIX}${id}`;
+
+export const getAssetId = (ref) => ref.slice(ASSET_PREFIX.length);
+
+// Identical files get the same id, so uploading one twice stores it once.
+// Hashing needs a secure context; elsewhere ids are merely unique.
+const createAssetId = async (file) => {
+  if (!globalThis.crypto?.subtle)
+    return `img-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    await file.arrayBuffer(),
+  );
+  const hex = [...new Uint8Array(digest)]
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+  return `img-${hex.slice(0, 24)}`;
+};
+
+const toEntry = ({ id, name, type, size, createdAt }) => ({
+  id,
+  name,
+  type,
+  size,
+  createdAt,
+});
+
+const readAsDataUrl = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+
+const DB_NAME = "dnd-poc";
+const STORE_NAME = "assets";
+
+const openDatabase = () =>
+  new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () =>
+      request.result.createObjectStore(STORE_NAME, { keyPath: "id" });
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+export const createIndexedDbAssetStore = () => {
+  let database;
+  // Object URLs are made once per asset and revoked when it is deleted.
+  const urls = new Map();
+
+  const run = async (mode, operation) => {
+    // A failed open is forgotten, so the next call tries again.
+    database ??= openDatabase().catch((error) => {
+      database = undefined;
+      throw error;
+    });
+    const db = await database;
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = operation(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      // Quota errors and aborts only fire `abort`.
+      transaction.onabort = () => reject(transaction.error);
+    });
+  };
+  const getRecord = (id) => run("readonly", (store) => store.get(id));
+
+  return {
+    async listAssets() {
+      const records = await run("readonly", (store) => store.getAll());
+      return records.map(toEntry).sort((a, b) => b.createdAt - a.createdAt);
+    },
+    async saveAsset(file) {
+      const id = await createAssetId(file);
+      const existing = await getRecord(id);
+      if (existing) return toEntry(existing);
+      const record = {
+        id,
+        name: file.name,
+        type: file.type,
+        size: file.size,
+        createdAt: Date.now(),
+        blob: file,
+      };
+      await run("readwrite", (store) => store.put(record));
+      return toEntry(record);
+    },
+    async getAssetUrl(id) {
+      if (!urls.has(id)) {
+        const record = await getRecord(id);
+        if (!record) return null;
+        urls.set(id, URL.createObjectURL(record.blob));
+      }
+      return urls.get(id);
+    },
+    async exportAssetUrl(id) {
+      const record = await getRecord(id);
+      return record ? readAsDataUrl(record.blob) : null;
+    },
+    async deleteAsset(id) {
+      await run("readwrite", (store) => store.delete(id));
+      if (urls.has(id)) URL.revokeObjectURL(urls.get(id));
+      urls.delete(id);
+    },
+  };
+};
+
+// Stores assets on a server. The endpoint lists entries on GET, accepts a
+// multipart `file` on POST (responding with the entry, whose id the server
+// picks), serves each file at `${endpoint}/${id}` and deletes it on DELETE
+// there.
+export const createUploadAssetStore = ({ endpoint, client = axios }) => {
+  const toUrl = (id) =>
+    new URL(`${endpoint}/${encodeURIComponent(id)}`, window.location.href).href;
+  return {
+    async listAssets() {
+      const { data } = await client.get(endpoint);
+      return data.map(toEntry).sort((a, b) => b.createdAt - a.createdAt);
+    },
+    async saveAsset(file) {
+      const body = new FormData();
+      body.append("file", file);
+      const { data } = await client.post(endpoint, body);
+      return toEntry(data);
+    },
+    async getAssetUrl(id) {
+      return toUrl(id);
+    },
+    async exportAssetUrl(id) {
+      return toUrl(id);
+    },
+    async deleteAsset(id) {
+      await client.delete(`${endpoint}/${encodeURIComponent(id)}`);
+    },
+  };
+};
+
+// Copies of the components with every asset reference replaced by the
+// store's exportAssetUrl, or an empty string once the asset is gone.
+export const resolveAssets = (components, store) =>
+  Promise.all(
+    components.map(async (component) => {
+      const props = { ...component.props };
+      for (const [name, value] of Object.entries(props)) {
+        if (isAssetRef(value))
+          props[name] =
+            (await store.exportAssetUrl(getAssetId(value)).catch(() => null)) ??
+            "";
+      }
+      if (Array.isArray(props.children))
+        props.children = await resolveAssets(props.children, store);
+      return { ...component, props };
+    }),
+  );
+
+export const assetStore = createIndexedDbAssetStore();
@@ -0,0 +1,87 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { createIndexedDbAssetStore } from "./assetStore";
+
+// Just enough of IndexedDB for the store: requests and transactions settle
+// on a later tick. `failOpen` makes the next open fail; `abortWrites` aborts
+// readwrite transactions the way a full quota does.
+const createFakeIndexedDb = ({ failOpen = false, abortWrites = false }) => {
+  const records = new Map();
+  const later = (fn) => setTimeout(fn, 0);
+  const db = {
+    transaction: (storeName, mode) => {
+      const transaction = {};
+      transaction.objectStore = () => ({
+        get: (id) => ({ result: records.get(id) }),
+        getAll: () => ({ result: [...records.values()] }),
+        put: (record) => {
+          if (!abortWrites) records.set(record.id, record);
+          return {};
+        },
+        delete: (id) => {
+          records.delete(id);
+          return {};
+        },
+      });
+      later(() => {
+        if (mode === "readwrite" && abortWrites) {
+          transaction.error = new DOMException(
+            "The quota has been exceeded.",
+            "QuotaExceededError",
+          );
+          transaction.onabort();
+        } else {
+          transaction.oncomplete();
+        }
+      });
+      return transaction;
+    },
+  };
+  return {
+    open: vi.fn(() => {
+      const request = {};
+      const fail = failOpen;
+      failOpen = false;
+      later(() => {
+        if (fail) {
+          request.error = new DOMException("Blocked.", "UnknownError");
+          request.onerror();
+        } else {
+          request.result = db;
+          request.onsuccess();
+        }
+      });
+      return request;
+    }),
+  };
+};
+
+const image = () => new File(["png"], "photo.png", { type: "image/png" });
+
+describe("createIndexedDbAssetStore", () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  it("saves and lists assets", async () => {
+    vi.stubGlobal("indexedDB", createFakeIndexedDb({}));
+    const store = createIndexedDbAssetStore();
+    const asset = await store.saveAsset(image());
+    expect(asset).toMatchObject({ name: "photo.png", type: "image/png" });
+    expect(await store.listAssets()).toEqual([asset]);
+  });
+
+  it("rejects saves whose transaction aborts", async () => {
+    vi.stubGlobal("indexedDB", createFakeIndexedDb({ abortWrites: true }));
+    const store = createIndexedDbAssetStore();
+    await expect(store.saveAsset(image())).rejects.toThrow(
+      "The quota has been exceeded.",
+    );
+  });
+
+  it("opens the database again after a failed open", async () => {
+    const indexedDB = createFakeIndexedDb({ failOpen: true });
+    vi.stubGlobal("indexedDB", indexedDB);
+    const store = createIndexedDbAssetStore();
+    await expect(store.listAssets()).rejects.toThrow("Blocked.");
+    expect(await store.listAssets()).toEqual([]);
+    expect(indexedDB.open).toHaveBeenCalledTimes(2);
+  });
+});
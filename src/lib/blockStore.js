@@ -0,0 +1,39 @@
+// --- BLOCK STORE ---
+// Persists the user's saved blocks ({ id, name, schemaVersion, components }):
+// named groups of components that can be dropped onto any page. Same async,
+// swappable shape as the page store.
+
+const STORAGE_KEY = "dnd-poc:blocks";
+
+export const createLocalBlockStore = (storage = window.localStorage) => {
+  const readAll = () => {
+    try {
+      return JSON.parse(storage.getItem(STORAGE_KEY)) || {};
+    } catch {
+      return {};
+    }
+  };
+  const writeAll = (blocks) =>
+    storage.setItem(STORAGE_KEY, JSON.stringify(blocks));
+
+  return {
+    async listBlocks() {
+      return Object.values(readAll()).sort((a, b) => b.updatedAt - a.updatedAt);
+    },
+    async saveBlock(block) {
+      const blocks = readAll();
+      const id = block.id ?? `block-${Date.now()}`;
+      const saved = { ...block, id, updatedAt: Date.now() };
+      blocks[id] = saved;
+      writeAll(blocks);
+      return saved;
+    },
+    async deleteBlock(id) {
+      const blocks = readAll();
+      delete blocks[id];
+      writeAll(blocks);
+    },
+  };
+};
+
+export const blockStore = createLocalBlockStore();
@@ -0,0 +1,99 @@
+import isEqual from "lodash/isEqual";
+import isPlainObject from "lodash/isPlainObject";
+import { findParent, flattenComponents, getChildren } from "./blueprintTree";
+
+// --- BLUEPRINT DIFF ---
+// What changed between two versions of a page ({ components, theme }), with
+// nodes matched by id. Returns { components, theme }:
+//   components - [{ kind, component, moved, props }] in document order, then
+//                the removed nodes; kind is "added", "removed" or "changed",
+//                and `props` lists the changed values as { path, before,
+//                after }, e.g. path "styles.responsive.mobile.color". Nodes
+//                added or removed along with their container are left out.
+//   theme      - the changed theme values, e.g. path "colors.primary".
+
+// Nested objects become dotted paths; anything else (arrays included) is
+// compared as one value. Children are left out, as they are nodes of their
+// own.
+const toPaths = (value, prefix = "") =>
+  Object.entries(value ?? {}).flatMap(([key, item]) => {
+    const path = `${prefix}${key}`;
+    if (!prefix && key === "children") return [];
+    return isPlainObject(item) ? toPaths(item, `${path}.`) : [[path, item]];
+  });
+
+const diffValues = (before, after) => {
+  const beforePaths = new Map(toPaths(before));
+  const afterPaths = new Map(toPaths(after));
+  const paths = [...new Set([...beforePaths.keys(), ...afterPaths.keys()])];
+  return paths
+    .filter((path) => !isEqual(beforePaths.get(path), afterPaths.get(path)))
+    .map((path) => ({
+      path,
+      before: beforePaths.get(path),
+      after: afterPaths.get(path),
+    }));
+};
+
+// The node's position among the siblings both versions have, so inserting or
+// removing a neighbour does not count as moving it.
+const getPosition = (components, id, kept) => {
+  const { parentId } = findParent(components, id);
+  return {
+    parentId,
+    index: getChildren(components, parentId)
+      .filter((c) => kept.has(c.id))
+      .findIndex((c) => c.id === id),
+  };
+};
+
+// Whether the node's container is not in `ids`.
+const isOutermost = (components, id, ids) =>
+  !ids.has(findParent(components, id).parentId);
+
+export const diffBlueprints = (before, after) => {
+  const beforeNodes = new Map(
+    flattenComponents(before.components).map((c) => [c.id, c]),
+  );
+  const afterNodes = flattenComponents(after.components);
+  const kept = new Set(
+    afterNodes.filter((c) => beforeNodes.has(c.id)).map((c) => c.id),
+  );
+  const added = new Set(
+    afterNodes.filter((c) => !kept.has(c.id)).map((c) => c.id),
+  );
+  const changes = afterNodes.flatMap((component) => {
+    const previous = beforeNodes.get(component.id);
+    if (!previous)
+      return isOutermost(after.components, component.id, added)
+        ? [{ kind: "added", component, moved: false, props: [] }]
+        : [];
+    const props = diffValues(previous.props, component.props);
+    const moved = !isEqual(
+      getPosition(before.components, component.id, kept),
+      getPosition(after.components, component.id, kept),
+    );
+    return moved || props.length
+      ? [{ kind: "changed", component, moved, props }]
+      : [];
+  });
+  const removedIds = new Set(
+    [...beforeNodes.keys()].filter((id) => !kept.has(id)),
+  );
+  const removed = [...beforeNodes.values()]
+    .filter(
+      (c) =>
+        removedIds.has(c.id) &&
+        isOutermost(before.components, c.id, removedIds),
+    )
+    .map((component) => ({
+      kind: "removed",
+      component,
+      moved: false,
+      props: [],
+    }));
+  return {
+    components: [...changes, ...removed],
+    theme: diffValues(before.theme, after.theme),
+  };
+};
@@ -0,0 +1,162 @@
+import cloneDeep from "lodash/cloneDeep";
+
+// --- BLUEPRINT TREE HELPERS ---
+// A blueprint is an array of component nodes. Container nodes keep their
+// nested nodes in `props.children`, so every helper here walks that tree and
+// returns new arrays instead of mutating.
+
+let idCounter = 0;
+
+export const createComponentId = (type) =>
+  `${type}-${Date.now()}-${(idCounter++).toString(36)}`;
+
+export const isContainer = (component) =>
+  Array.isArray(component?.props?.children);
+
+export const findComponent = (components, id) => {
+  for (const component of components) {
+    if (component.id === id) return component;
+    if (isContainer(component)) {
+      const found = findComponent(component.props.children, id);
+      if (found) return found;
+    }
+  }
+  return null;
+};
+
+// Returns { parentId, index } where parentId is null for top-level nodes.
+export const findParent = (components, id, parentId = null) => {
+  for (const [index, component] of components.entries()) {
+    if (component.id === id) return { parentId, index };
+    if (isContainer(component)) {
+      const found = findParent(component.props.children, id, component.id);
+      if (found) return found;
+    }
+  }
+  return null;
+};
+
+export const isDescendant = (components, ancestorId, id) => {
+  const ancestor = findComponent(components, ancestorId);
+  return !!ancestor && !!findComponent(ancestor.props.children ?? [], id);
+};
+
+export const getChildren = (components, parentId) =>
+  parentId === null
+    ? components
+    : (findComponent(components, parentId)?.props.children ?? []);
+
+export const updateComponent = (components, id, updater) =>
+  components.map((component) => {
+    if (component.id === id) return updater(component);
+    if (!isContainer(component)) return component;
+    return {
+      ...component,
+      props: {
+        ...component.props,
+        children: updateComponent(component.props.children, id, updater),
+      },
+    };
+  });
+
+const updateChildren = (components, parentId, updater) =>
+  parentId === null
+    ? updater(components)
+    : updateComponent(components, parentId, (parent) => ({
+        ...parent,
+        props: { ...parent.props, children: updater(parent.props.children) },
+      }));
+
+export const removeComponent = (components, id) =>
+  components
+    .filter((component) => component.id !== id)
+    .map((component) =>
+      isContainer(component)
+        ? {
+            ...component,
+            props: {
+              ...component.props,
+              children: removeComponent(component.props.children, id),
+            },
+          }
+        : component,
+    );
+
+export const insertComponent = (components, parentId, index, component) =>
+  updateChildren(components, parentId, (children) => {
+    const next = [...children];
+    next.splice(index ?? next.length, 0, component);
+    return next;
+  });
+
+export const moveComponent = (components, id, parentId, index) => {
+  const component = findComponent(components, id);
+  if (!component || id === parentId || isDescendant(components, id, parentId))
+    return components;
+  return insertComponent(
+    removeComponent(components, id),
+    parentId,
+    index,
+    component,
+  );
+};
+
+// Deep copy of a subtree with fresh ids, so it can sit next to the original
+// without sharing any nested props (styles, table data, ...) with it. Each
+// old id is mapped to its new one in `ids`, for rewriting references (see
+// cloneComponents in the registry).
+export const cloneWithNewIds = (component, ids = new Map()) => {
+  const { children, ...props } = component.props;
+  const id = createComponentId(component.type);
+  ids.set(component.id, id);
+  return {
+    ...component,
+    id,
+    props: {
+      ...cloneDeep(props),
+      ...(isContainer(component) && {
+        children: children.map((child) => cloneWithNewIds(child, ids)),
+      }),
+    },
+  };
+};
+
+// Every node in document order (each parent before its children).
+export const flattenComponents = (components) =>
+  components.flatMap((component) => [
+    component,
+    ...(isContainer(component)
+      ? flattenComponents(component.props.children)
+      : []),
+  ]);
+
+// The listed ids that are not inside another listed node, in document order.
+// Bulk operations use these so a container and its children are not handled
+// twice.
+export const getOutermostIds = (components, ids) =>
+  components.flatMap((component) => {
+    if (ids.includes(component.id)) return [component.id];
+    return isContainer(component)
+      ? getOutermostIds(component.props.children, ids)
+      : [];
+  });
+
+// Moves several nodes, keeping their order, to one spot. `index` counts the
+// destination's children after the moved nodes were taken out.
+export const moveComponents = (components, ids, parentId, index) => {
+  if (
+    ids.some((id) => id === parentId || isDescendant(components, id, parentId))
+  )
+    return components;
+  const moving = ids.map((id) => findComponent(components, id));
+  return moving.reduce(
+    (tree, component, i) =>
+      insertComponent(
+        tree,
+        parentId,
+        index === undefined ? undefined : index + i,
+        component,
+      ),
+    ids.reduce(removeComponent, components),
+  );
+};
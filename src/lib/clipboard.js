@@ -0,0 +1,75 @@
+import {
+  SCHEMA_VERSION,
+  cloneComponents,
+  getDefinition,
+  migrateBlueprint,
+  validateBlueprint,
+} from "@/registry";
+
+// --- COMPONENT CLIPBOARD ---
+// Copied components travel as blueprint JSON in the plain-text clipboard, so
+// they paste into another page, tab or browser. Uploaded images are asset
+// references (lib/assetStore) and are kept as they are: the asset library is
+// shared by every tab of the builder. Image fields still holding a blob: URL,
+// as builders before the library stored uploads, are inlined as data: URLs on
+// the way out and again on the way in; ones that can no longer be read fall
+// back to the field's default.
+
+const CLIPBOARD_FORMAT = "dnd-poc/components";
+
+const isBlobUrl = (value) =>
+  typeof value === "string" && value.startsWith("blob:");
+
+const readAsDataUrl = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+
+const inlineBlobUrl = async (url) => {
+  try {
+    const response = await fetch(url);
+    return await readAsDataUrl(await response.blob());
+  } catch {
+    return null;
+  }
+};
+
+// Also used to keep saved blocks' uploaded images past a reload.
+export const inlineImages = async (component) => {
+  const props = { ...component.props };
+  for (const field of getDefinition(component.type).fields) {
+    if (field.type === "image" && isBlobUrl(props[field.name])) {
+      props[field.name] =
+        (await inlineBlobUrl(props[field.name])) ?? field.default;
+    }
+  }
+  if (Array.isArray(props.children)) {
+    props.children = await Promise.all(props.children.map(inlineImages));
+  }
+  return { ...component, props };
+};
+
+export const toClipboardText = async (components) =>
+  JSON.stringify({
+    format: CLIPBOARD_FORMAT,
+    schemaVersion: SCHEMA_VERSION,
+    components: await Promise.all(components.map(inlineImages)),
+  });
+
+// Components ready to insert (migrated, validated and with fresh ids), or null
+// when the text is not a valid copy from the builder.
+export const fromClipboardText = async (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  if (data?.format !== CLIPBOARD_FORMAT) return null;
+  const { components, errors } = validateBlueprint(migrateBlueprint(data));
+  if (errors.length || !components.length) return null;
+  return Promise.all(cloneComponents(components).map(inlineImages));
+};
@@ -0,0 +1,26 @@
+import { closestCenter, pointerWithin } from "@dnd-kit/core";
+
+// Drop zones nest inside each other, so prefer the innermost droppable under
+// the pointer. When that is a zone's padding or gap rather than an item, snap
+// to the closest item inside that zone so drops between items keep their slot.
+export const innermostCollision = (args) => {
+  const hits = pointerWithin(args).filter(({ id }) => id !== args.active.id);
+  if (!hits.length) return closestCenter(args);
+  const area = ({ id }) => {
+    const rect = args.droppableRects.get(id);
+    return rect ? rect.width * rect.height : Infinity;
+  };
+  const [innermost] = [...hits].sort((a, b) => area(a) - area(b));
+  const zone = args.droppableContainers.find((c) => c.id === innermost.id);
+  if (!zone?.data.current || !("containerId" in zone.data.current)) {
+    return [innermost];
+  }
+  const siblings = args.droppableContainers.filter(
+    (c) =>
+      c.id !== args.active.id &&
+      c.data.current?.parentId === zone.data.current.containerId,
+  );
+  return siblings.length
+    ? closestCenter({ ...args, droppableContainers: siblings })
+    : [innermost];
+};
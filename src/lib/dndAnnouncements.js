@@ -0,0 +1,61 @@
+import upperFirst from "lodash/upperFirst";
+import { findComponent, findParent, getChildren } from "@/lib/blueprintTree";
+
+// --- SCREEN READER ANNOUNCEMENTS ---
+// dnd-kit announces drags through a live region using ids by default, which
+// are meaningless here ("Text-1712…-3"). These describe components by type and
+// position instead, e.g. "Text 2 of 3 in Card".
+
+export const describeComponent = (components, id) => {
+  const component = findComponent(components, id);
+  const location = findParent(components, id);
+  if (!component || !location) return "component";
+  const siblings = getChildren(components, location.parentId);
+  const parent = findComponent(components, location.parentId);
+  return `${component.type} ${location.index + 1} of ${siblings.length}${parent ? ` in ${parent.type}` : ""}`;
+};
+
+// `selection` lists the selected components; dragging one of several drags
+// them all.
+export const createAnnouncements = (
+  components,
+  paletteTypes,
+  selection = [],
+) => {
+  const describeActive = ({ id, data }) => {
+    if (data.current?.block) return `the ${data.current.block.name} block`;
+    if (paletteTypes.includes(id)) return `new ${id} component`;
+    if (selection.length > 1 && selection.includes(id))
+      return `${selection.length} selected components`;
+    return describeComponent(components, id);
+  };
+  const subject = (active) => upperFirst(describeActive(active));
+  // Drop zones stand for the end of their container.
+  const describeOver = (over) => {
+    if (paletteTypes.includes(over.id) || over.data.current?.block)
+      return "the component list";
+    const containerId = over.data.current?.containerId;
+    if (containerId === null) return "the end of the page";
+    if (containerId !== undefined)
+      return `the end of ${describeComponent(components, containerId)}`;
+    return describeComponent(components, over.id);
+  };
+  return {
+    onDragStart: ({ active }) => `Picked up ${describeActive(active)}.`,
+    onDragOver: ({ active, over }) =>
+      over
+        ? `${subject(active)} is over ${describeOver(over)}.`
+        : `${subject(active)} is no longer over a drop target.`,
+    onDragEnd: ({ active, over }) =>
+      over
+        ? `${subject(active)} was dropped at ${describeOver(over)}.`
+        : `${subject(active)} was dropped outside the canvas.`,
+    onDragCancel: ({ active }) =>
+      `Dragging was cancelled. ${subject(active)} was put back.`,
+  };
+};
+
+export const screenReaderInstructions = {
+  draggable:
+    "To pick up a component, press Space or Enter. Use the arrow keys to move it, then press Space or Enter to drop it, or Escape to cancel. When nothing is being dragged, the arrow keys move the selection on the canvas and Delete removes the selected component.",
+};
@@ -0,0 +1,21 @@
+import kebabCase from "lodash/kebabCase";
+
+// Saves `content` (a Blob, or text of the given MIME type) as a file through
+// the browser's download prompt.
+export const downloadFile = (fileName, content, type = "text/plain") => {
+  const blob =
+    content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoking straight away can cancel the download in some browsers.
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// A file name for an export of the page, e.g. "landing-page.html".
+export const getExportFileName = (pageName, extension) =>
+  `${kebabCase(pageName) || "page"}.${extension}`;
@@ -0,0 +1,34 @@
+// --- FORM VALUE VALIDATION ---
+// Shared by interactive renders (lib/forms) and the exported code, which
+// embeds this file's source (see registry/exportCode). It therefore stands
+// alone: no imports, and comments only on lines of their own.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// The message for the first rule `value` breaks, or null. Patterns must match
+// the whole value, like the HTML pattern attribute.
+export const validateFormValue = (rules, value) => {
+  const { label } = rules;
+  if (rules.type === "checkbox")
+    return rules.required && !value ? `${label} must be checked.` : null;
+  const text = String(value ?? "");
+  if (text.trim() === "")
+    return rules.required ? `${label} is required.` : null;
+  if (rules.type === "email" && !EMAIL_PATTERN.test(text))
+    return `${label} must be a valid email address.`;
+  if (rules.type === "number") {
+    const number = Number(text);
+    if (Number.isNaN(number)) return `${label} must be a number.`;
+    if (rules.min !== undefined && number < rules.min)
+      return `${label} must be at least ${rules.min}.`;
+    if (rules.max !== undefined && number > rules.max)
+      return `${label} must be at most ${rules.max}.`;
+  }
+  if (rules.minLength !== undefined && text.length < rules.minLength)
+    return `${label} must be at least ${rules.minLength} characters.`;
+  if (rules.maxLength !== undefined && text.length > rules.maxLength)
+    return `${label} must be ${rules.maxLength} characters or fewer.`;
+  if (rules.pattern && !new RegExp(`^(?:${rules.pattern})$`).test(text))
+    return rules.patternMessage || `${label} is not in the expected format.`;
+  return null;
+};
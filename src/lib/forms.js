@@ -0,0 +1,168 @@
+import axios from "axios";
+import { flattenComponents, updateComponent } from "./blueprintTree";
+import { validateFormValue } from "./formValidation";
+
+// --- FORMS ---
+// Input, Textarea, Select and Checkbox are form fields: each has a `name`, the
+// key its value is submitted under, and validation rules. A Form container
+// validates the fields inside it and sends their values to its endpoint.
+// Interactive renders keep values and errors in the { values, errors,
+// setValue, setErrors } store keyed by component id (see PageRenderer).
+
+export const FORM_FIELD_TYPES = ["Input", "Textarea", "Select", "Checkbox"];
+
+// A camelCase field name from a label, e.g. "Email address" -> "emailAddress".
+export const toFieldName = (label) => {
+  const name = String(label)
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((word, i) =>
+      i === 0
+        ? word.toLowerCase()
+        : word[0].toUpperCase() + word.slice(1).toLowerCase(),
+    )
+    .join("");
+  return /^[A-Za-z]/.test(name) ? name : `field${name}`;
+};
+
+// Form fields inside `components`, in document order. A nested Form keeps
+// its fields to itself.
+export const getFormFields = (components) =>
+  components.flatMap((c) =>
+    FORM_FIELD_TYPES.includes(c.type)
+      ? [c]
+      : c.type === "Form"
+        ? []
+        : getFormFields(c.props.children ?? []),
+  );
+
+// The names of the other fields in the Form that holds `component`; empty
+// outside a Form.
+export const getTakenFieldNames = (components, component) => {
+  const fields =
+    flattenComponents(components)
+      .filter((c) => c.type === "Form")
+      .map((form) => getFormFields(form.props.children))
+      .find((formFields) => formFields.some((f) => f.id === component.id)) ??
+    [];
+  return fields.filter((f) => f.id !== component.id).map((f) => f.props.name);
+};
+
+// Each Form's fields, with a key per field that had its name there.
+const getNamedFields = (components) =>
+  flattenComponents(components)
+    .filter((c) => c.type === "Form")
+    .map((form) =>
+      getFormFields(form.props.children).map((field) => ({
+        field,
+        key: `${form.id}:${field.id}:${field.props.name}`,
+      })),
+    );
+
+const MAX_NAME_LENGTH = 40;
+
+// Renames fields that share their name with another field of the same Form,
+// e.g. a duplicated "email" becomes "email2". Fields that already had the
+// name in that Form in `previous` keep it, so inserted, pasted and moved
+// fields are the ones renamed. Returns `components` itself when nothing
+// clashes.
+export const withUniqueFieldNames = (components, previous = []) => {
+  const kept = new Set(
+    getNamedFields(previous)
+      .flat()
+      .map(({ key }) => key),
+  );
+  const renames = new Map();
+  getNamedFields(components).forEach((fields) => {
+    const used = new Set();
+    const ordered = [
+      ...fields.filter(({ key }) => kept.has(key)),
+      ...fields.filter(({ key }) => !kept.has(key)),
+    ];
+    ordered.forEach(({ field }) => {
+      let { name } = field.props;
+      for (let n = 2; used.has(name); n += 1) {
+        const suffix = String(n);
+        name = `${field.props.name.slice(0, MAX_NAME_LENGTH - suffix.length)}${suffix}`;
+      }
+      used.add(name);
+      if (name !== field.props.name) renames.set(field.id, name);
+    });
+  });
+  return [...renames].reduce(
+    (tree, [id, name]) =>
+      updateComponent(tree, id, (field) => ({
+        ...field,
+        props: { ...field.props, name },
+      })),
+    components,
+  );
+};
+
+const FIELD_KINDS = {
+  Textarea: "text",
+  Select: "select",
+  Checkbox: "checkbox",
+};
+const RULE_NAMES = [
+  "required",
+  "minLength",
+  "maxLength",
+  "min",
+  "max",
+  "pattern",
+  "patternMessage",
+];
+
+// What a field validates against: its name, label, kind (the input type for
+// Inputs), initial value and whichever rules are set. The exported code
+// embeds these objects as-is.
+export const getFieldRules = ({ type, props }) => ({
+  name: props.name,
+  label: props.label,
+  type: type === "Input" ? props.inputType : FIELD_KINDS[type],
+  initialValue:
+    type === "Checkbox"
+      ? props.checked
+      : type === "Select" && !props.placeholder
+        ? props.options[0]
+        : "",
+  ...Object.fromEntries(
+    RULE_NAMES.filter(
+      (rule) => ![undefined, null, "", false].includes(props[rule]),
+    ).map((rule) => [rule, props[rule]]),
+  ),
+});
+
+export const getFieldValue = (form, component) =>
+  form.values[component.id] ?? getFieldRules(component).initialValue;
+
+// Validates every field of the Form component, storing the messages (null
+// for valid fields), and when all pass sends { [name]: value } with axios;
+// number inputs are sent as numbers. Resolves to false when validation failed
+// and rejects when the request does.
+export const submitForm = async (formComponent, form) => {
+  const fields = getFormFields(formComponent.props.children);
+  const errors = Object.fromEntries(
+    fields.map((field) => [
+      field.id,
+      validateFormValue(getFieldRules(field), getFieldValue(form, field)),
+    ]),
+  );
+  form.setErrors(errors);
+  if (Object.values(errors).some(Boolean)) return false;
+  const data = Object.fromEntries(
+    fields.map((field) => {
+      const value = getFieldValue(form, field);
+      return [
+        field.props.name,
+        field.props.inputType === "number" && value !== ""
+          ? Number(value)
+          : value,
+      ];
+    }),
+  );
+  const { action, method } = formComponent.props;
+  await axios({ url: action, method, data });
+  return true;
+};
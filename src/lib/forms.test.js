@@ -0,0 +1,60 @@
+import { describe, expect, it } from "vitest";
+import { getTakenFieldNames, withUniqueFieldNames } from "./forms";
+
+const field = (id, name) => ({ id, type: "Input", props: { name } });
+const form = (id, children) => ({ id, type: "Form", props: { children } });
+const names = (components) =>
+  components.flatMap((c) => c.props.children.map((f) => f.props.name));
+
+describe("withUniqueFieldNames", () => {
+  it("renames the field that joined the form, not the one already there", () => {
+    const previous = [form("f", [field("a", "email")])];
+    const next = [form("f", [field("b", "email"), field("a", "email")])];
+    expect(names(withUniqueFieldNames(next, previous))).toEqual([
+      "email2",
+      "email",
+    ]);
+  });
+
+  it("counts up past names that are taken and keeps within 40 characters", () => {
+    const long = "x".repeat(40);
+    const next = [
+      form("f", [
+        field("a", "email"),
+        field("b", "email2"),
+        field("c", "email"),
+        field("d", long),
+        field("e", long),
+      ]),
+    ];
+    expect(names(withUniqueFieldNames(next))).toEqual([
+      "email",
+      "email2",
+      "email3",
+      long,
+      `${"x".repeat(39)}2`,
+    ]);
+  });
+
+  it("lets separate forms use the same name", () => {
+    const next = [
+      form("f", [field("a", "email")]),
+      form("g", [field("b", "email")]),
+    ];
+    expect(withUniqueFieldNames(next)).toBe(next);
+  });
+});
+
+describe("getTakenFieldNames", () => {
+  it("lists the other names in the field's own form", () => {
+    const page = [
+      form("f", [field("a", "email"), field("b", "name")]),
+      form("g", [field("c", "phone")]),
+      field("d", "loose"),
+    ];
+    expect(getTakenFieldNames(page, page[0].props.children[0])).toEqual([
+      "name",
+    ]);
+    expect(getTakenFieldNames(page, page[2])).toEqual([]);
+  });
+});
@@ -0,0 +1,65 @@
+// --- SYNTAX HIGHLIGHTING ---
+// A small tokenizer for the Export dialog's code views. It colors what helps
+// reading exported code (strings, keywords, tags, attributes, keys) by
+// pattern rather than by parsing, and leaves everything else plain.
+// tokenize(source, language) returns [{ type, text }], with a null type for
+// plain text; languages are "jsx" (also TSX), "html" and "json".
+
+const JSX_RULES = [
+  ["comment", /\/\/[^\n]*|\/\*[\s\S]*?\*\//],
+  // Quotes after a letter are apostrophes in JSX text, e.g. "we'll".
+  [
+    "string",
+    /(?<!\w)(?:"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*')|`(?:[^`\\]|\\[\s\S])*`/,
+  ],
+  ["tag", /<\/?[A-Za-z][\w.]*|\/>/],
+  ["attribute", /[A-Za-z_$][\w$-]*(?==)/],
+  [
+    "keyword",
+    /\b(?:as|async|await|const|default|else|export|extends|from|function|if|import|keyof|let|new|return|type|typeof)\b/,
+  ],
+  ["literal", /\b(?:true|false|null|undefined|\d+(?:\.\d+)?)\b/],
+];
+
+const HTML_RULES = [
+  ["comment", /<!--[\s\S]*?-->/],
+  ["tag", /<\/?[A-Za-z][\w-]*|\/>|<!DOCTYPE html>/],
+  ["attribute", /[A-Za-z_:][\w:.-]*(?==)/],
+  ["string", /(?<==)(?:"[^"]*"|'[^']*')/],
+];
+
+const JSON_RULES = [
+  ["attribute", /"(?:[^"\\]|\\.)*"(?=\s*:)/],
+  ["string", /"(?:[^"\\]|\\.)*"/],
+  ["literal", /\b(?:true|false|null)\b|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/],
+];
+
+// One regex per language, with a capture group per rule in order.
+const compile = (rules) => ({
+  types: rules.map(([type]) => type),
+  pattern: new RegExp(
+    rules.map(([, rule]) => `(${rule.source})`).join("|"),
+    "g",
+  ),
+});
+
+const LANGUAGES = {
+  jsx: compile(JSX_RULES),
+  html: compile(HTML_RULES),
+  json: compile(JSON_RULES),
+};
+
+export const tokenize = (source, language) => {
+  const { types, pattern } = LANGUAGES[language];
+  const tokens = [];
+  let end = 0;
+  for (const match of source.matchAll(pattern)) {
+    if (match.index > end)
+      tokens.push({ type: null, text: source.slice(end, match.index) });
+    const group = match.findIndex((text, i) => i > 0 && text !== undefined);
+    tokens.push({ type: types[group - 1], text: match[0] });
+    end = match.index + match[0].length;
+  }
+  if (end < source.length) tokens.push({ type: null, text: source.slice(end) });
+  return tokens;
+};
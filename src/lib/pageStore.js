@@ -0,0 +1,53 @@
+// --- PAGE STORE ---
+// Persists page blueprints ({ id, name, components }). The builder only talks
+// to this async interface, so the localStorage backend below can be swapped
+// for the savePage/getPage GraphQL service described in GUIDE.md.
+
+const STORAGE_KEY = "dnd-poc:pages";
+
+const toSummary = ({ id, name, updatedAt }) => ({ id, name, updatedAt });
+
+export const createLocalPageStore = (storage = window.localStorage) => {
+  const readAll = () => {
+    try {
+      return JSON.parse(storage.getItem(STORAGE_KEY)) || {};
+    } catch {
+      return {};
+    }
+  };
+  const writeAll = (pages) =>
+    storage.setItem(STORAGE_KEY, JSON.stringify(pages));
+
+  return {
+    async listPages() {
+      return Object.values(readAll())
+        .map(toSummary)
+        .sort((a, b) => b.updatedAt - a.updatedAt);
+    },
+    async getPage(id) {
+      return readAll()[id] ?? null;
+    },
+    async savePage(page) {
+      const pages = readAll();
+      const id = page.id ?? `page-${Date.now()}`;
+      const saved = { ...page, id, updatedAt: Date.now() };
+      pages[id] = saved;
+      writeAll(pages);
+      return saved;
+    },
+    async renamePage(id, name) {
+      const pages = readAll();
+      if (!pages[id]) throw new Error(`Page "${id}" does not exist.`);
+      pages[id] = { ...pages[id], name, updatedAt: Date.now() };
+      writeAll(pages);
+      return pages[id];
+    },
+    async deletePage(id) {
+      const pages = readAll();
+      delete pages[id];
+      writeAll(pages);
+    },
+  };
+};
+
+export const pageStore = createLocalPageStore();
@@ -0,0 +1,43 @@
+import appCss from "@/index.css?inline";
+import { resolveAssets } from "@/lib/assetStore";
+import { createZip } from "@/lib/zip";
+import { generatePageHtml } from "@/registry/exportHtml";
+
+// --- STATIC SITE EXPORT ---
+// Downloads for hosting a page without a React app: a single HTML file, or a
+// zip of index.html with the page's uploaded images beside it. Both inline
+// the builder's compiled stylesheet, which covers every class the renderer
+// uses. `page` is { name, theme, components }; `store` is the asset store
+// its image references point into. Builders load this module on demand, as
+// the stylesheet and the server renderer are sizeable.
+
+const generateHtml = (page, components) =>
+  generatePageHtml({ ...page, components }, { css: appCss });
+
+// The single-file page, as text. Uploaded images are inlined as data: URLs.
+export const renderHtmlFile = async (page, store) =>
+  generateHtml(page, await resolveAssets(page.components, store));
+
+// Uploaded images become files in images/, linked relatively, so the page
+// works from any folder it is unpacked to.
+export const exportHtmlZip = async (page, store) => {
+  const images = new Map();
+  const saveImage = async (id) => {
+    const url = await store.exportAssetUrl(id);
+    if (!url) return null;
+    const blob = await (await fetch(url)).blob();
+    const extension = blob.type.split("/")[1]?.split("+")[0] || "bin";
+    return { name: `images/${id}.${extension}`, data: blob };
+  };
+  const components = await resolveAssets(page.components, {
+    exportAssetUrl: async (id) => {
+      if (!images.has(id)) images.set(id, saveImage(id));
+      return (await images.get(id))?.name ?? null;
+    },
+  });
+  const files = (await Promise.all(images.values())).filter(Boolean);
+  return createZip([
+    { name: "index.html", data: generateHtml(page, components) },
+    ...files,
+  ]);
+};
@@ -0,0 +1,162 @@
+import { isValid, parseISO } from "date-fns";
+
+// --- TABLE DATA HELPERS ---
+// Table data is { headers, cells, types? }: one header per column, rows of
+// cells, and optionally a type per column ("text", "number" or "date"; text
+// when missing). Every helper returns new data instead of mutating.
+
+export const COLUMN_TYPES = ["text", "number", "date"];
+
+export const getColumnType = (data, col) => data.types?.[col] ?? "text";
+
+const spliceCopy = (array, start, deleteCount, ...items) => {
+  const next = [...array];
+  next.splice(start, deleteCount, ...items);
+  return next;
+};
+
+export const insertRow = (data, index) => ({
+  ...data,
+  cells: spliceCopy(
+    data.cells,
+    index,
+    0,
+    data.headers.map(() => ""),
+  ),
+});
+
+export const deleteRow = (data, index) => ({
+  ...data,
+  cells: spliceCopy(data.cells, index, 1),
+});
+
+export const insertColumn = (data, index) => ({
+  headers: spliceCopy(data.headers, index, 0, `Column ${index + 1}`),
+  cells: data.cells.map((row) => spliceCopy(row, index, 0, "")),
+  ...(data.types && { types: spliceCopy(data.types, index, 0, "text") }),
+});
+
+export const deleteColumn = (data, index) => ({
+  headers: spliceCopy(data.headers, index, 1),
+  cells: data.cells.map((row) => spliceCopy(row, index, 1)),
+  ...(data.types && { types: spliceCopy(data.types, index, 1) }),
+});
+
+const moveItem = (array, from, to) =>
+  spliceCopy(spliceCopy(array, from, 1), to, 0, array[from]);
+
+export const moveColumn = (data, from, to) => ({
+  headers: moveItem(data.headers, from, to),
+  cells: data.cells.map((row) => moveItem(row, from, to)),
+  ...(data.types && { types: moveItem(data.types, from, to) }),
+});
+
+export const setColumnType = (data, col, type) => ({
+  ...data,
+  types: data.headers.map((_, i) =>
+    i === col ? type : getColumnType(data, i),
+  ),
+});
+
+// Row -1 is the header row.
+export const setCell = (data, row, col, value) =>
+  row === -1
+    ? { ...data, headers: spliceCopy(data.headers, col, 1, value) }
+    : {
+        ...data,
+        cells: spliceCopy(
+          data.cells,
+          row,
+          1,
+          spliceCopy(data.cells[row], col, 1, value),
+        ),
+      };
+
+// Parses text copied from a spreadsheet (tab-separated) or a CSV file,
+// including quoted fields with embedded delimiters, quotes and newlines.
+export const parseDelimited = (text) => {
+  const delimiter = text.includes("\t") ? "\t" : ",";
+  const rows = [[]];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"' && field === "") {
+      quoted = true;
+    } else if (c === delimiter) {
+      rows[rows.length - 1].push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      rows[rows.length - 1].push(field);
+      field = "";
+      rows.push([]);
+    } else {
+      field += c;
+    }
+  }
+  rows[rows.length - 1].push(field);
+  // Spreadsheets end a copied range with a newline.
+  const last = rows[rows.length - 1];
+  if (rows.length > 1 && last.length === 1 && last[0] === "") rows.pop();
+  return rows;
+};
+
+// Writes `grid` into the data with its top-left corner at (row, col), where
+// row -1 is the header row, adding rows and columns as needed up to
+// maxRows body rows and maxCols columns; whatever does not fit is dropped.
+export const pasteGrid = (
+  data,
+  row,
+  col,
+  grid,
+  { maxRows = Infinity, maxCols = Infinity } = {},
+) => {
+  let next = data;
+  const width = Math.max(...grid.map((r) => r.length));
+  const cols = Math.min(Math.max(next.headers.length, col + width), maxCols);
+  while (next.headers.length < cols)
+    next = insertColumn(next, next.headers.length);
+  const rows = Math.min(
+    Math.max(next.cells.length, row + grid.length),
+    maxRows,
+  );
+  while (next.cells.length < rows) next = insertRow(next, next.cells.length);
+  grid.forEach((values, r) =>
+    values.forEach((value, c) => {
+      if (row + r < rows && col + c < cols)
+        next = setCell(next, row + r, col + c, value);
+    }),
+  );
+  return next;
+};
+
+const toTime = (value) => {
+  const date = parseISO(value);
+  return isValid(date) ? date.getTime() : NaN;
+};
+
+// Compares two cells of a column by its type, ascending or (direction -1)
+// descending; empty or unparseable numbers and dates sort last either way.
+export const compareCells = (a, b, type, direction = 1) => {
+  if (type === "text")
+    return (
+      String(a).localeCompare(String(b), undefined, { numeric: true }) *
+      direction
+    );
+  const [x, y] =
+    type === "number" ? [Number(a), Number(b)] : [a, b].map(toTime);
+  const missingX = Number.isNaN(x) || String(a).trim() === "";
+  const missingY = Number.isNaN(y) || String(b).trim() === "";
+  if (missingX || missingY) return missingX - missingY;
+  return (x - y) * direction;
+};
@@ -0,0 +1,102 @@
+// --- ZIP ARCHIVES ---
+// Just enough of the ZIP format to bundle an export with its images: entries
+// are stored uncompressed (images are compressed already) with UTF-8 names.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS date and time fields, as every ZIP entry carries them.
+const toDosDateTime = (date) => ({
+  time:
+    (date.getHours() << 11) |
+    (date.getMinutes() << 5) |
+    Math.floor(date.getSeconds() / 2),
+  date:
+    ((date.getFullYear() - 1980) << 9) |
+    ((date.getMonth() + 1) << 5) |
+    date.getDate(),
+});
+
+const toBytes = async (data) =>
+  typeof data === "string"
+    ? new TextEncoder().encode(data)
+    : new Uint8Array(await data.arrayBuffer());
+
+// Writes little-endian fields: [value, byteLength] pairs.
+const header = (fields) => {
+  const view = new DataView(
+    new ArrayBuffer(fields.reduce((size, [, length]) => size + length, 0)),
+  );
+  let offset = 0;
+  for (const [value, length] of fields) {
+    if (length === 2) view.setUint16(offset, value, true);
+    else view.setUint32(offset, value, true);
+    offset += length;
+  }
+  return new Uint8Array(view.buffer);
+};
+
+const UTF8_NAMES = 0x0800;
+
+// `files` is [{ name, data }] with data a string or Blob; paths use "/".
+export const createZip = async (files, modified = new Date()) => {
+  const { time, date } = toDosDateTime(modified);
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+  for (const file of files) {
+    const name = new TextEncoder().encode(file.name);
+    const data = await toBytes(file.data);
+    const crc = crc32(data);
+    // Fields shared by the local header and the central directory entry.
+    const entry = [
+      [20, 2],
+      [UTF8_NAMES, 2],
+      [0, 2],
+      [time, 2],
+      [date, 2],
+      [crc, 4],
+      [data.length, 4],
+      [data.length, 4],
+      [name.length, 2],
+      [0, 2],
+    ];
+    const local = header([[0x04034b50, 4], ...entry]);
+    parts.push(local, name, data);
+    directory.push(
+      header([
+        [0x02014b50, 4],
+        [20, 2],
+        ...entry,
+        [0, 2],
+        [0, 2],
+        [0, 2],
+        [0, 4],
+        [offset, 4],
+      ]),
+      name,
+    );
+    offset += local.length + name.length + data.length;
+  }
+  const directorySize = directory.reduce((size, part) => size + part.length, 0);
+  const end = header([
+    [0x06054b50, 4],
+    [0, 2],
+    [0, 2],
+    [files.length, 2],
+    [files.length, 2],
+    [directorySize, 4],
+    [offset, 4],
+    [0, 2],
+  ]);
+  return new Blob([...parts, ...directory, end], { type: "application/zip" });
+};
@@ -0,0 +1,225 @@
+// --- BLUEPRINT TYPES ---
+// A saved page after migrateBlueprint, with one node type per registry
+// definition (see definitions.jsx). These are exactly what validateBlueprint
+// accepts, so its guards narrow to them; keep both in step with the
+// definitions' fields. Field props are optional because blueprints written by
+// hand may leave them out. Types added with registerComponent are not part of
+// the union.
+
+export type ColorToken = "$primary" | "$secondary" | "$text" | "$background";
+export type SpacingToken = "$xs" | "$sm" | "$md" | "$lg" | "$xl";
+
+// Pixels, or a spacing token.
+export type Spacing = number | SpacingToken;
+
+export type StyleValues = {
+  // A CSS color or a ColorToken.
+  color?: string;
+  fontSize?: number;
+  marginTop?: Spacing;
+  marginBottom?: Spacing;
+  marginLeft?: Spacing;
+  marginRight?: Spacing;
+  paddingTop?: Spacing;
+  paddingBottom?: Spacing;
+  paddingLeft?: Spacing;
+  paddingRight?: Spacing;
+};
+
+export type DeviceName = "desktop" | "tablet" | "mobile";
+
+// Desktop styles, with what smaller devices change in `responsive`.
+export type Styles = StyleValues & {
+  responsive?: Partial<Record<Exclude<DeviceName, "desktop">, StyleValues>>;
+};
+
+// Placement of a Grid's child within the grid.
+export type GridCellLayout = {
+  colSpan?: number;
+  alignSelf?: "stretch" | "start" | "center" | "end";
+};
+
+export type ColumnType = "text" | "number" | "date";
+
+// Table and chart data. Charts read the first column as labels and the rest
+// as numbers.
+export type TableData = {
+  headers: string[];
+  cells: (string | number)[][];
+  types?: ColumnType[];
+};
+
+// An uploaded image, see lib/assetStore.
+export type AssetRef = `asset:${string}`;
+
+type NodeOf<Type extends string, Props> = {
+  id: string;
+  type: Type;
+  version?: number;
+  props: Props & { styles: Styles; layout?: GridCellLayout };
+};
+
+type FieldProps = {
+  label?: string;
+  // The key the value is submitted under; an identifier.
+  name?: string;
+  required?: boolean;
+};
+
+type LengthProps = {
+  minLength?: number | null;
+  maxLength?: number | null;
+};
+
+export type ButtonNode = NodeOf<
+  "Button",
+  {
+    text?: string;
+    variant?: "default" | "destructive";
+    action?: "none" | "submit";
+  }
+>;
+
+export type InputNode = NodeOf<
+  "Input",
+  FieldProps &
+    LengthProps & {
+      placeholder?: string;
+      inputType?: "text" | "email" | "number" | "password";
+      min?: number | null;
+      max?: number | null;
+      pattern?: string;
+      patternMessage?: string;
+    }
+>;
+
+export type TextareaNode = NodeOf<
+  "Textarea",
+  FieldProps & LengthProps & { placeholder?: string }
+>;
+
+export type SelectNode = NodeOf<
+  "Select",
+  FieldProps & { options?: string[]; placeholder?: string }
+>;
+
+export type CheckboxNode = NodeOf<
+  "Checkbox",
+  FieldProps & { checked?: boolean }
+>;
+
+export type FormNode = NodeOf<
+  "Form",
+  {
+    action?: string;
+    method?: "post" | "put";
+    successMessage?: string;
+    errorMessage?: string;
+    children: ComponentNode[];
+  }
+>;
+
+export type SeparatorNode = NodeOf<"Separator", object>;
+
+export type ImageNode = NodeOf<
+  "Image",
+  { src?: string | AssetRef; alt?: string }
+>;
+
+export type TextNode = NodeOf<"Text", { text?: string }>;
+
+export type DescriptionNode = NodeOf<"Description", { text?: string }>;
+
+export type GraphNode = NodeOf<
+  "Graph",
+  {
+    chartType?: "bar" | "line" | "area" | "pie";
+    title?: string;
+    xLabel?: string;
+    yLabel?: string;
+    showLegend?: boolean;
+    // The id of the Table to chart instead of `data`, or "".
+    tableId?: string;
+    data?: TableData;
+  }
+>;
+
+export type TableNode = NodeOf<
+  "Table",
+  {
+    rows: number;
+    cols: number;
+    hasHeader?: boolean;
+    sortable?: boolean;
+    pageSize?: number;
+    data: TableData;
+  }
+>;
+
+export type SectionNode = NodeOf<
+  "Section",
+  { heading?: string; children: ComponentNode[] }
+>;
+
+export type CardNode = NodeOf<
+  "Card",
+  { title?: string; description?: string; children: ComponentNode[] }
+>;
+
+// Columns hold Column nodes only, and Column nodes sit in nothing else.
+export type ColumnsNode = NodeOf<
+  "Columns",
+  { columns?: number; gap?: number; children: ColumnNode[] }
+>;
+
+export type ColumnNode = NodeOf<"Column", { children: ComponentNode[] }>;
+
+export type GridNode = NodeOf<
+  "Grid",
+  {
+    columns?: number;
+    gap?: number;
+    align?: "stretch" | "start" | "center" | "end";
+    children: ComponentNode[];
+  }
+>;
+
+export type ComponentNode =
+  | ButtonNode
+  | InputNode
+  | TextareaNode
+  | SelectNode
+  | CheckboxNode
+  | FormNode
+  | SeparatorNode
+  | ImageNode
+  | TextNode
+  | DescriptionNode
+  | GraphNode
+  | TableNode
+  | SectionNode
+  | CardNode
+  | ColumnsNode
+  | GridNode;
+
+export type ComponentType = ComponentNode["type"] | ColumnNode["type"];
+
+export type Theme = {
+  colors: {
+    primary: string;
+    secondary: string;
+    text: string;
+    background: string;
+  };
+  spacing: { xs: number; sm: number; md: number; lg: number; xl: number };
+  radius: number;
+  fontFamily: string;
+};
+
+// A saved or exported page.
+export type Blueprint = {
+  schemaVersion?: number;
+  name?: string;
+  theme?: Theme;
+  components: ComponentNode[];
+};
@@ -0,0 +1,101 @@
+import { toCssValue } from "./theme";
+
+// --- RESPONSIVE BREAKPOINTS ---
+// `props.styles` holds the desktop styles. Smaller devices only store what
+// they change, in `styles.responsive[device]`, and cascade desktop-first: a
+// mobile screen also gets the tablet overrides, like max-width media queries.
+
+export const DEVICES = [
+  { name: "desktop", label: "Desktop", width: null, maxWidth: null },
+  { name: "tablet", label: "Tablet", width: 768, maxWidth: 1023 },
+  { name: "mobile", label: "Mobile", width: 375, maxWidth: 767 },
+];
+
+const cascadeFor = (device) =>
+  DEVICES.slice(1, DEVICES.findIndex((d) => d.name === device) + 1);
+
+export const resolveStyles = (styles, device = "desktop") => {
+  const { responsive, ...base } = styles;
+  return cascadeFor(device).reduce(
+    (resolved, d) => ({ ...resolved, ...responsive?.[d.name] }),
+    base,
+  );
+};
+
+export const getDeviceForWidth = (width) =>
+  [...DEVICES].reverse().find((d) => d.maxWidth && width <= d.maxWidth)?.name ??
+  "desktop";
+
+// Returns styles with one value set for `device` (the base styles on desktop).
+export const setDeviceStyle = (styles, device, name, value) =>
+  device === "desktop"
+    ? { ...styles, [name]: value }
+    : {
+        ...styles,
+        responsive: {
+          ...styles.responsive,
+          [device]: { ...styles.responsive?.[device], [name]: value },
+        },
+      };
+
+export const clearDeviceStyles = (styles, device) => {
+  const responsive = { ...styles.responsive };
+  delete responsive[device];
+  const next = { ...styles, responsive };
+  if (!Object.keys(responsive).length) delete next.responsive;
+  return next;
+};
+
+const toCssProperty = (name) =>
+  name.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`);
+
+// Exports give nodes with breakpoint overrides this class for their media
+// queries. Ids may hold any character, so anything but letters, digits and
+// hyphens is spelled out as `_<hex code>_`, which keeps classes distinct and
+// safe to use as selectors.
+export const getResponsiveClass = (component) =>
+  `responsive-${component.id.replace(
+    /[^A-Za-z0-9-]/gu,
+    (c) => `_${c.codePointAt(0).toString(16)}_`,
+  )}`;
+
+// Exports render the text styles of nodes with overrides through these custom
+// properties (see renderComponent), as media queries cannot beat inline styles
+// on elements they have no selector for.
+export const TEXT_VARIABLES = {
+  color: "--text-color",
+  fontSize: "--font-size",
+};
+
+const toRule = (selector, overrides) =>
+  overrides.length
+    ? `${selector} { ${overrides
+        .map(
+          ([name, value]) =>
+            `${TEXT_VARIABLES[name] ?? toCssProperty(name)}: ${toCssValue(value)} !important;`,
+        )
+        .join(" ")} }`
+    : null;
+
+const isMargin = ([name]) => name.startsWith("margin");
+
+// Media queries for a node's overrides. Margins target `selector`, the rest
+// `innerSelector`, for exports that pad an element inside the node's box.
+// Declarations are !important so they win over the inline desktop styles.
+export const getResponsiveCss = (selector, styles, innerSelector = selector) =>
+  DEVICES.filter((d) => styles.responsive?.[d.name])
+    .map((d) => {
+      const overrides = Object.entries(styles.responsive[d.name]);
+      const rules =
+        innerSelector === selector
+          ? [toRule(selector, overrides)]
+          : [
+              toRule(selector, overrides.filter(isMargin)),
+              toRule(
+                innerSelector,
+                overrides.filter((override) => !isMargin(override)),
+              ),
+            ];
+      return `@media (max-width: ${d.maxWidth}px) { ${rules.filter(Boolean).join(" ")} }`;
+    })
+    .join("\n");
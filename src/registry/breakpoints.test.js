@@ -0,0 +1,23 @@
+import { describe, expect, it } from "vitest";
+import { getResponsiveClass } from "./breakpoints";
+
+describe("getResponsiveClass", () => {
+  it("keeps ids made of letters, digits and hyphens", () => {
+    expect(getResponsiveClass({ id: "Text-1792365598539-9" })).toBe(
+      "responsive-Text-1792365598539-9",
+    );
+  });
+
+  it("spells out characters that are unsafe in a selector", () => {
+    const className = getResponsiveClass({
+      id: 'a} </style><script>alert("x")</script>',
+    });
+    expect(className).toMatch(/^responsive-[\w-]+$/);
+  });
+
+  it("keeps different ids apart", () => {
+    const ids = ["a b", "a_b", "a_20_b", "a.b", "ä"];
+    const classNames = ids.map((id) => getResponsiveClass({ id }));
+    expect(new Set(classNames).size).toBe(ids.length);
+  });
+});
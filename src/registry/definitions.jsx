@@ -0,0 +1,957 @@
+import { Fragment } from "react";
+import { findComponent } from "@/lib/blueprintTree";
+import {
+  getFieldRules,
+  getFieldValue,
+  submitForm,
+  toFieldName,
+} from "@/lib/forms";
+import {
+  Button,
+  Card,
+  Checkbox,
+  Columns,
+  Description,
+  Form,
+  Graph,
+  Image,
+  Input,
+  Section,
+  Select,
+  Separator,
+  Table,
+  Text,
+  Textarea,
+  getGridStyle,
+} from "@/renderer/components";
+import { code, when } from "./jsxSource";
+
+// --- COMPONENT DEFINITIONS ---
+// One entry per component type. Each entry declares everything the builders,
+// the renderer and the exporter need to know about that type:
+//   type, label      - blueprint type and sidebar label
+//   hidden           - created by another component, never offered in the sidebar
+//   defaultProps     - non-editable props of a freshly dropped component
+//   fields           - prop schema: the editable props, their defaults and
+//                      constraints; the PropertiesPanel is generated from it
+//   render           - (props, ctx) => ReactNode, see renderComponent; also
+//                      what the code exporter prints (see exportCode), so
+//                      exporting renders pass no functions as props
+//   createChildren   - optional, builds initial children for containers
+//   onFieldChange    - optional, derives the next props when a field changes
+//   version          - bumped whenever the props change shape (default 1)
+//   migrations       - { [version]: (props) => props } upgrades, see migrations
+
+const BOX_STYLES = {
+  marginTop: 10,
+  marginBottom: 4,
+  marginLeft: 0,
+  marginRight: 0,
+  paddingTop: 0,
+  paddingBottom: 0,
+  paddingLeft: 0,
+  paddingRight: 0,
+};
+
+const TEXT_STYLES = { ...BOX_STYLES, fontSize: 14, color: "$text" };
+
+const generateDefaultTableData = (rows, cols, hasHeader) => {
+  const actualRows = hasHeader ? rows - 1 : rows;
+  return {
+    headers: Array.from({ length: cols }, (_, i) => `Header ${i + 1}`),
+    cells: Array.from({ length: actualRows }, (_, r) =>
+      Array.from({ length: cols }, (_, c) => `Cell ${r + 1}-${c + 1}`),
+    ),
+  };
+};
+
+// Pads or truncates the table data to match the rows/cols/hasHeader props.
+const resizeTableData = (props) => {
+  const data = JSON.parse(JSON.stringify(props.data));
+  const headerDiff = props.cols - data.headers.length;
+  if (headerDiff > 0) {
+    data.headers.push(
+      ...Array.from(
+        { length: headerDiff },
+        (_, i) => `Column ${data.headers.length + i + 1}`,
+      ),
+    );
+  } else {
+    data.headers.length = props.cols;
+  }
+  if (data.types) {
+    data.types = data.headers.map((_, i) => data.types[i] ?? "text");
+  }
+  const cellRows = props.hasHeader ? props.rows - 1 : props.rows;
+  const rowDiff = cellRows - data.cells.length;
+  if (rowDiff > 0) {
+    for (let i = 0; i < rowDiff; i++) {
+      data.cells.push(Array(props.cols).fill(""));
+    }
+  } else {
+    data.cells.length = Math.max(cellRows, 0);
+  }
+  data.cells = data.cells.map((row) => {
+    const colDiff = props.cols - row.length;
+    if (colDiff > 0) return [...row, ...Array(colDiff).fill("")];
+    row.length = props.cols;
+    return row;
+  });
+  return data;
+};
+
+const TABLE_MAX_ROWS = 50;
+const TABLE_MAX_COLS = 12;
+
+const TABLE_FIELDS = [
+  {
+    name: "rows",
+    label: "Rows",
+    type: "number",
+    default: 4,
+    integer: true,
+    min: 1,
+    max: TABLE_MAX_ROWS,
+  },
+  {
+    name: "cols",
+    label: "Columns",
+    type: "number",
+    default: 4,
+    integer: true,
+    min: 1,
+    max: TABLE_MAX_COLS,
+  },
+  {
+    name: "hasHeader",
+    label: "Enable Table Header",
+    type: "boolean",
+    default: true,
+  },
+  {
+    name: "sortable",
+    label: "Sortable Columns",
+    type: "boolean",
+    default: true,
+  },
+  {
+    name: "pageSize",
+    label: "Rows Per Page (0 shows all)",
+    type: "number",
+    default: 10,
+    integer: true,
+    min: 0,
+    max: TABLE_MAX_ROWS,
+  },
+];
+
+const labelField = (defaultValue) => ({
+  name: "label",
+  label: "Label",
+  type: "string",
+  default: defaultValue,
+  required: true,
+  maxLength: 80,
+});
+const placeholderField = (defaultValue) => ({
+  name: "placeholder",
+  label: "Placeholder",
+  type: "string",
+  default: defaultValue,
+  maxLength: 80,
+});
+
+// Form fields (see lib/forms). `name` is the key the value is submitted
+// under, so it has to work as an identifier in the exported code.
+const nameField = (defaultValue) => ({
+  name: "name",
+  label: "Field Name",
+  type: "string",
+  default: defaultValue,
+  required: true,
+  maxLength: 40,
+  format: "identifier",
+});
+const requiredField = {
+  name: "required",
+  label: "Required",
+  type: "boolean",
+  default: false,
+};
+const lengthFields = (visible) => [
+  {
+    name: "minLength",
+    label: "Min Length",
+    type: "number",
+    default: null,
+    nullable: true,
+    integer: true,
+    min: 0,
+    visible,
+  },
+  {
+    name: "maxLength",
+    label: "Max Length",
+    type: "number",
+    default: null,
+    nullable: true,
+    integer: true,
+    min: 1,
+    visible,
+  },
+];
+
+const isNumberInput = (props) => props.inputType === "number";
+const isTextInput = (props) => !isNumberInput(props);
+
+const INPUT_FIELDS = [
+  labelField("Field Label"),
+  nameField("fieldLabel"),
+  placeholderField("Enter value..."),
+  {
+    name: "inputType",
+    label: "Input Type",
+    type: "enum",
+    default: "text",
+    options: [
+      { value: "text", label: "Text" },
+      { value: "email", label: "Email" },
+      { value: "number", label: "Number" },
+      { value: "password", label: "Password" },
+    ],
+  },
+  requiredField,
+  ...lengthFields(isTextInput),
+  ...["min", "max"].map((name) => ({
+    name,
+    label: `${name === "min" ? "Min" : "Max"} Value`,
+    type: "number",
+    default: null,
+    nullable: true,
+    visible: isNumberInput,
+  })),
+  {
+    name: "pattern",
+    label: "Pattern (regular expression)",
+    type: "string",
+    default: "",
+    maxLength: 200,
+    format: "regex",
+    visible: isTextInput,
+  },
+  {
+    name: "patternMessage",
+    label: "Pattern Error Message",
+    type: "string",
+    default: "",
+    maxLength: 120,
+    visible: (props) => isTextInput(props) && !!props.pattern,
+  },
+];
+
+const TEXTAREA_FIELDS = [
+  labelField("Message"),
+  nameField("message"),
+  placeholderField("Your message here"),
+  requiredField,
+  ...lengthFields(),
+];
+
+const SELECT_FIELDS = [
+  labelField("Choose an option"),
+  nameField("chooseAnOption"),
+  {
+    name: "options",
+    label: "Options",
+    type: "list",
+    default: ["Option 1", "Option 2", "Option 3"],
+    itemLabel: "Option",
+    minItems: 1,
+  },
+  {
+    name: "placeholder",
+    label: "Placeholder (empty first choice)",
+    type: "string",
+    default: "",
+    maxLength: 80,
+  },
+  requiredField,
+];
+
+const CHECKBOX_FIELDS = [
+  labelField("Accept terms"),
+  nameField("acceptTerms"),
+  { name: "checked", label: "Checked", type: "boolean", default: false },
+  { ...requiredField, label: "Required (must be checked)" },
+];
+
+// Older form fields get the new rules' defaults and a name from their label.
+const migrateFormField = (fields) => (props) => ({
+  ...JSON.parse(
+    JSON.stringify(Object.fromEntries(fields.map((f) => [f.name, f.default]))),
+  ),
+  name: toFieldName(props.label),
+  ...props,
+});
+
+// Interactive renders (PageRenderer with `interactive`) pass `form`, the
+// store from lib/forms. Exported code binds fields inside a Form to its
+// useForm state, `formVar`, instead. Standalone HTML pages and exported fields
+// outside a Form leave them to the browser, with its built-in validation;
+// otherwise inputs are inert. Only those controls get ids, as a builder may
+// show its canvas and a preview of the same page.
+const controlId = (component) => `${component.id}-control`;
+const errorId = (component) => `${component.id}-error`;
+const hasId = ({ form, standalone, exporting }) =>
+  form || standalone || exporting;
+const isNative = ({ standalone, exporting }) => standalone || exporting;
+
+// The generated useForm state keeps values and errors by field name.
+const bindFormVar = ({ component, formVar }, valueProp = "value") => {
+  const { name } = component.props;
+  const error = `${formVar}.errors.${name}`;
+  return {
+    id: controlId(component),
+    [valueProp]: code(`${formVar}.values.${name}`),
+    onChange: code(
+      `(e) => ${formVar}.setValue(${JSON.stringify(name)}, e.target.${valueProp})`,
+    ),
+    "aria-invalid": code(`Boolean(${error})`),
+    "aria-describedby": code(
+      `${error} ? ${JSON.stringify(errorId(component))} : undefined`,
+    ),
+  };
+};
+
+const getNativeRules = (component) => {
+  const { initialValue, minLength, maxLength, min, max, pattern } =
+    getFieldRules(component);
+  return {
+    id: controlId(component),
+    defaultValue: initialValue,
+    minLength,
+    maxLength,
+    ...(component.type === "Input" && { min, max, pattern }),
+  };
+};
+
+const bindValue = (ctx) => {
+  const { component, form, formVar } = ctx;
+  if (formVar) return bindFormVar(ctx);
+  if (isNative(ctx)) return getNativeRules(component);
+  if (!form) return { readOnly: true };
+  return {
+    id: controlId(component),
+    value: getFieldValue(form, component),
+    onChange: (e) => form.setValue(component.id, e.target.value),
+    ...(form.errors[component.id] && {
+      "aria-invalid": true,
+      "aria-describedby": errorId(component),
+    }),
+  };
+};
+
+// bindValue for checkboxes.
+const bindChecked = (ctx) => {
+  const { component, form, formVar } = ctx;
+  if (formVar) return bindFormVar(ctx, "checked");
+  if (isNative(ctx)) return { defaultChecked: component.props.checked };
+  if (!form) return { checked: component.props.checked, readOnly: true };
+  return {
+    checked: getFieldValue(form, component),
+    onChange: (e) => form.setValue(component.id, e.target.checked),
+    ...(form.errors[component.id] && {
+      "aria-invalid": true,
+      "aria-describedby": errorId(component),
+    }),
+  };
+};
+
+const renderErrorMessage = (component, message) => (
+  <p id={errorId(component)} className="text-xs text-red-600">
+    {message}
+  </p>
+);
+
+const renderError = ({ component, form, formVar }) => {
+  if (formVar) {
+    const error = `${formVar}.errors.${component.props.name}`;
+    return when(error, renderErrorMessage(component, code(error)));
+  }
+  return (
+    form?.errors[component.id] &&
+    renderErrorMessage(component, form.errors[component.id])
+  );
+};
+
+// A Graph bound to a Table charts that table's data, and its own data again
+// once the table is gone.
+const getChartData = (props, page) => {
+  const table = props.tableId && page && findComponent(page, props.tableId);
+  return table?.type === "Table" ? table.props.data : props.data;
+};
+
+const GRAPH_FIELDS = [
+  {
+    name: "chartType",
+    label: "Chart Type",
+    type: "enum",
+    default: "bar",
+    options: ["bar", "line", "area", "pie"],
+  },
+  {
+    name: "title",
+    label: "Title",
+    type: "string",
+    default: "Monthly Sales",
+    maxLength: 80,
+  },
+  {
+    name: "xLabel",
+    label: "X Axis Label",
+    type: "string",
+    default: "Month",
+    maxLength: 40,
+  },
+  {
+    name: "yLabel",
+    label: "Y Axis Label",
+    type: "string",
+    default: "Units",
+    maxLength: 40,
+  },
+  { name: "showLegend", label: "Show Legend", type: "boolean", default: true },
+  {
+    name: "tableId",
+    label: "Data From Table",
+    type: "ref",
+    refType: "Table",
+    default: "",
+  },
+  {
+    name: "data",
+    label: "Data (when not bound to a table)",
+    type: "data",
+    default: {
+      headers: ["Month", "Product A", "Product B"],
+      cells: [
+        ["Jan", "30", "20"],
+        ["Feb", "40", "25"],
+        ["Mar", "25", "35"],
+        ["Apr", "45", "40"],
+      ],
+    },
+  },
+];
+
+const renderLabelled = (props, ctx, control) => (
+  <div className="w-full space-y-2">
+    <label
+      htmlFor={hasId(ctx) ? controlId(ctx.component) : undefined}
+      className="font-medium text-sm"
+      style={ctx.textStyle}
+    >
+      {props.label}
+      {props.required && (
+        <span aria-hidden="true" className="text-red-600">
+          {" "}
+          *
+        </span>
+      )}
+    </label>
+    {control}
+    {renderError(ctx)}
+  </div>
+);
+
+export const COMPONENT_DEFINITIONS = [
+  {
+    type: "Button",
+    label: "Button",
+    version: 2,
+    // v2 adds the click action.
+    migrations: {
+      2: (props) => ({ action: "none", ...props }),
+    },
+    defaultProps: {
+      styles: {
+        ...TEXT_STYLES,
+        marginTop: 0,
+        marginBottom: 8,
+        color: "#FFFFFF",
+      },
+    },
+    fields: [
+      {
+        name: "text",
+        label: "Button Text",
+        type: "string",
+        default: "Click Me",
+        required: true,
+        maxLength: 40,
+      },
+      {
+        name: "variant",
+        label: "Variant",
+        type: "enum",
+        default: "default",
+        options: ["default", "destructive"],
+      },
+      {
+        name: "action",
+        label: "On Click",
+        type: "enum",
+        default: "none",
+        options: [
+          { value: "none", label: "Nothing" },
+          { value: "submit", label: "Submit the form" },
+        ],
+      },
+    ],
+    render: (props, { textStyle }) => (
+      <Button
+        type={props.action === "submit" ? "submit" : "button"}
+        variant={props.variant}
+        style={textStyle}
+      >
+        {props.text}
+      </Button>
+    ),
+  },
+  {
+    type: "Input",
+    label: "Input",
+    version: 2,
+    // v2 adds the field name and validation rules.
+    migrations: { 2: migrateFormField(INPUT_FIELDS) },
+    defaultProps: { styles: TEXT_STYLES },
+    fields: INPUT_FIELDS,
+    render: (props, ctx) =>
+      renderLabelled(
+        props,
+        ctx,
+        <Input
+          type={props.inputType}
+          name={props.name}
+          placeholder={props.placeholder}
+          required={props.required}
+          {...bindValue(ctx)}
+        />,
+      ),
+  },
+  {
+    type: "Textarea",
+    label: "Textarea",
+    version: 2,
+    migrations: { 2: migrateFormField(TEXTAREA_FIELDS) },
+    defaultProps: { styles: TEXT_STYLES },
+    fields: TEXTAREA_FIELDS,
+    render: (props, ctx) =>
+      renderLabelled(
+        props,
+        ctx,
+        <Textarea
+          name={props.name}
+          placeholder={props.placeholder}
+          required={props.required}
+          {...bindValue(ctx)}
+        />,
+      ),
+  },
+  {
+    type: "Select",
+    label: "Select",
+    version: 3,
+    migrations: {
+      // Options used to be a comma-separated string.
+      2: (props) => ({
+        ...props,
+        options:
+          typeof props.options === "string"
+            ? props.options
+                .split(",")
+                .map((option) => option.trim())
+                .filter(Boolean)
+            : props.options,
+      }),
+      3: migrateFormField(SELECT_FIELDS),
+    },
+    defaultProps: { styles: TEXT_STYLES },
+    fields: SELECT_FIELDS,
+    render: (props, ctx) =>
+      renderLabelled(
+        props,
+        ctx,
+        <Select
+          name={props.name}
+          options={props.options}
+          placeholder={props.placeholder}
+          required={props.required}
+          {...bindValue(ctx)}
+        />,
+      ),
+  },
+  {
+    type: "Checkbox",
+    label: "Checkbox",
+    version: 2,
+    migrations: { 2: migrateFormField(CHECKBOX_FIELDS) },
+    defaultProps: { styles: TEXT_STYLES },
+    fields: CHECKBOX_FIELDS,
+    render: (props, ctx) => (
+      <div className="space-y-1">
+        <Checkbox
+          label={props.label}
+          name={props.name}
+          required={props.required}
+          style={ctx.textStyle}
+          {...bindChecked(ctx)}
+        />
+        {renderError(ctx)}
+      </div>
+    ),
+  },
+  {
+    type: "Form",
+    label: "Form",
+    defaultProps: { children: [], styles: BOX_STYLES },
+    fields: [
+      {
+        name: "action",
+        label: "Submit URL",
+        type: "string",
+        default: "/api/submit",
+        required: true,
+        maxLength: 300,
+      },
+      {
+        name: "method",
+        label: "Method",
+        type: "enum",
+        default: "post",
+        options: [
+          { value: "post", label: "POST" },
+          { value: "put", label: "PUT" },
+        ],
+      },
+      {
+        name: "successMessage",
+        label: "Success Message",
+        type: "string",
+        default: "Thanks! Your submission was received.",
+        maxLength: 160,
+      },
+      {
+        name: "errorMessage",
+        label: "Error Message",
+        type: "string",
+        default: "Something went wrong. Please try again.",
+        maxLength: 160,
+      },
+    ],
+    // Standalone pages post the form natively (HTML forms cannot PUT) and
+    // let the browser validate it.
+    render: (
+      props,
+      { component, renderChildren, form, formVar, standalone },
+    ) => (
+      <Form
+        successMessage={props.successMessage}
+        errorMessage={props.errorMessage}
+        onSubmit={
+          formVar
+            ? code(`${formVar}.submit`)
+            : form && (() => submitForm(component, form))
+        }
+        {...(standalone && {
+          action: props.action,
+          method: "post",
+          noValidate: false,
+        })}
+      >
+        {renderChildren(component)}
+      </Form>
+    ),
+  },
+  {
+    type: "Separator",
+    label: "Separator",
+    defaultProps: { styles: BOX_STYLES },
+    fields: [],
+    render: () => <Separator />,
+  },
+  {
+    type: "Image",
+    label: "Image",
+    defaultProps: { styles: BOX_STYLES },
+    fields: [
+      {
+        name: "src",
+        label: "Image URL",
+        type: "image",
+        default:
+          "https://images.unsplash.com/photo-1599420186946-7b6fb4e297f0?ixlib=rb-1.2.1&auto=format&fit=crop&w=800&q=80",
+        required: true,
+      },
+      {
+        name: "alt",
+        label: "Alt Text",
+        type: "string",
+        default: "A placeholder image",
+        required: true,
+        maxLength: 120,
+      },
+    ],
+    render: (props) => <Image src={props.src} alt={props.alt} />,
+  },
+  {
+    type: "Text",
+    label: "Text",
+    defaultProps: {
+      styles: {
+        ...TEXT_STYLES,
+        marginTop: 8,
+        marginBottom: 8,
+        fontSize: 18,
+        color: "$text",
+      },
+    },
+    fields: [
+      {
+        name: "text",
+        label: "Content",
+        type: "text",
+        rows: 4,
+        default:
+          "This is an editable text block. Click to select and edit in the properties panel.",
+      },
+    ],
+    render: (props, { textStyle }) => (
+      <Text text={props.text} style={textStyle} />
+    ),
+  },
+  {
+    type: "Description",
+    label: "Description",
+    defaultProps: {
+      styles: {
+        ...TEXT_STYLES,
+        marginTop: 4,
+        marginBottom: 4,
+        color: "$secondary",
+      },
+    },
+    fields: [
+      {
+        name: "text",
+        label: "Content",
+        type: "text",
+        rows: 5,
+        default:
+          "This is a smaller description text. Use it for details, captions, or supplementary information.",
+      },
+    ],
+    render: (props, { textStyle }) => (
+      <Description text={props.text} style={textStyle} />
+    ),
+  },
+  {
+    type: "Graph",
+    label: "Graph",
+    version: 2,
+    // v2 charts real data; older graphs get the sample data and labels.
+    migrations: {
+      2: (props) => ({
+        ...JSON.parse(
+          JSON.stringify(
+            Object.fromEntries(GRAPH_FIELDS.map((f) => [f.name, f.default])),
+          ),
+        ),
+        ...props,
+      }),
+    },
+    defaultProps: { styles: BOX_STYLES },
+    fields: GRAPH_FIELDS,
+    render: (props, { page }) => (
+      <Graph
+        chartType={props.chartType}
+        title={props.title}
+        xLabel={props.xLabel}
+        yLabel={props.yLabel}
+        showLegend={props.showLegend}
+        data={getChartData(props, page)}
+      />
+    ),
+  },
+  {
+    type: "Table",
+    label: "Table",
+    version: 2,
+    // v2 adds preview sorting and pagination.
+    migrations: {
+      2: (props) => ({ sortable: true, pageSize: 10, ...props }),
+    },
+    defaultProps: {
+      data: generateDefaultTableData(4, 4, true),
+      styles: BOX_STYLES,
+    },
+    fields: TABLE_FIELDS,
+    onFieldChange: (props) => ({ ...props, data: resizeTableData(props) }),
+    // Without scripts a standalone page can neither sort nor page.
+    render: (props, { component, onUpdate, standalone }) => (
+      <Table
+        data={props.data}
+        hasHeader={props.hasHeader}
+        sortable={!standalone && (props.sortable ?? true)}
+        pageSize={standalone ? 0 : (props.pageSize ?? 10)}
+        maxRows={TABLE_MAX_ROWS - (props.hasHeader ? 1 : 0)}
+        maxCols={TABLE_MAX_COLS}
+        onDataChange={
+          onUpdate &&
+          ((newTableData) =>
+            onUpdate(component.id, {
+              ...component.props,
+              data: newTableData,
+              // Grid edits can add or remove rows and columns.
+              rows:
+                newTableData.cells.length + (component.props.hasHeader ? 1 : 0),
+              cols: newTableData.headers.length,
+            }))
+        }
+      />
+    ),
+  },
+  {
+    type: "Section",
+    label: "Section",
+    defaultProps: {
+      children: [],
+      styles: { ...TEXT_STYLES, fontSize: 20, color: "$primary" },
+    },
+    fields: [
+      {
+        name: "heading",
+        label: "Heading",
+        type: "string",
+        default: "Section",
+        maxLength: 80,
+      },
+    ],
+    render: (props, { component, textStyle, renderChildren }) => (
+      <Section heading={props.heading} style={textStyle}>
+        {renderChildren(component)}
+      </Section>
+    ),
+  },
+  {
+    type: "Card",
+    label: "Card",
+    defaultProps: { children: [], styles: BOX_STYLES },
+    fields: [
+      {
+        name: "title",
+        label: "Title",
+        type: "string",
+        default: "Card Title",
+        maxLength: 80,
+      },
+      {
+        name: "description",
+        label: "Description",
+        type: "string",
+        default: "Card Description",
+        maxLength: 160,
+      },
+    ],
+    render: (props, { component, renderChildren }) => (
+      <Card title={props.title} description={props.description}>
+        {renderChildren(component)}
+      </Card>
+    ),
+  },
+  {
+    type: "Columns",
+    label: "Columns",
+    defaultProps: { children: [], styles: BOX_STYLES },
+    fields: [
+      {
+        name: "columns",
+        label: "Columns",
+        type: "number",
+        default: 2,
+        integer: true,
+        min: 2,
+        max: 4,
+      },
+      { name: "gap", label: "Gap (px)", type: "number", default: 16, min: 0 },
+    ],
+    createChildren: (props, createComponent) =>
+      Array.from({ length: props.columns }, () => createComponent("Column")),
+    // Keep components from removed columns by moving them into the last one.
+    onFieldChange: (props, name, { createComponent }) => {
+      if (name !== "columns") return props;
+      const count = props.columns;
+      const columns = props.children.slice(0, count);
+      while (columns.length < count) columns.push(createComponent("Column"));
+      const orphans = props.children
+        .slice(count)
+        .flatMap((column) => column.props.children);
+      const last = columns[count - 1];
+      columns[count - 1] = {
+        ...last,
+        props: {
+          ...last.props,
+          children: [...last.props.children, ...orphans],
+        },
+      };
+      return { ...props, children: columns };
+    },
+    render: (props, { renderChildren }) => (
+      <Columns gap={props.gap}>
+        {props.children.map((column) => (
+          <Fragment key={column.id}>{renderChildren(column)}</Fragment>
+        ))}
+      </Columns>
+    ),
+  },
+  {
+    type: "Column",
+    label: "Column",
+    hidden: true,
+    defaultProps: {
+      children: [],
+      styles: { ...BOX_STYLES, marginTop: 0, marginBottom: 0 },
+    },
+    fields: [],
+    render: (props, { component, renderChildren }) => renderChildren(component),
+  },
+  {
+    type: "Grid",
+    label: "Grid",
+    defaultProps: { children: [], styles: BOX_STYLES },
+    fields: [
+      {
+        name: "columns",
+        label: "Columns",
+        type: "number",
+        default: 3,
+        integer: true,
+        min: 2,
+        max: 4,
+      },
+      { name: "gap", label: "Gap (px)", type: "number", default: 16, min: 0 },
+      {
+        name: "align",
+        label: "Align Items",
+        type: "enum",
+        default: "stretch",
+        options: ["stretch", "start", "center", "end"],
+      },
+    ],
+    render: (props, { component, renderChildren }) =>
+      renderChildren(component, {
+        style: getGridStyle(props),
+        maxColSpan: props.columns,
+      }),
+  },
+];
@@ -0,0 +1,261 @@
+import validationSource from "@/lib/formValidation.js?raw";
+import { getFieldRules, getFormFields } from "@/lib/forms";
+import { getBoxStyle, renderComponent } from "@/renderer/renderComponent";
+import { getResponsiveClass, getResponsiveCss } from "./breakpoints";
+import { cast, code, printElement, printValue } from "./jsxSource";
+import { getThemeStyle } from "./theme";
+
+// --- EXPORT CODE GENERATION ---
+// The exported component is the element tree PageRenderer draws, built by the
+// same render functions (with `exporting` set, see renderComponent) and
+// printed as JSX, or TSX typed against the renderer library's declarations.
+// Its UI components come from that library.
+
+// The renderer library's package name, as published (see GUIDE.md).
+const RENDERER_PACKAGE = "@your-org/renderer";
+
+// Form state in the exported page: a useForm hook per Form, validating with
+// lib/formValidation's own source, so the export and interactive renders
+// share their rules and messages. `submit` is the Form's onSubmit, resolving
+// to false when validation failed, like lib/forms' submitForm. TypeScript
+// output types each form's values by field name.
+const FORM_TYPES = `type FieldRules = {
+  name: string;
+  label: string;
+  type: string;
+  initialValue: string | boolean;
+  required?: boolean;
+  minLength?: number;
+  maxLength?: number;
+  min?: number;
+  max?: number;
+  pattern?: string;
+  patternMessage?: string;
+};
+
+type FormErrors<Values> = Partial<Record<keyof Values, string | null>>;`;
+
+const getValidationCode = (typescript) => {
+  const source = validationSource
+    .replace(/^[ \t]*\/\/.*\n/gm, "")
+    .replace(/^export /gm, "")
+    .trim();
+  return typescript
+    ? source.replace(
+        "(rules, value) =>",
+        "(rules: FieldRules, value: unknown): string | null =>",
+      )
+    : source;
+};
+
+const getFormHelpers = (typescript) => {
+  const t = (annotation) => (typescript ? annotation : "");
+  return String.raw`${typescript ? `${FORM_TYPES}\n\n` : ""}${getValidationCode(typescript)}
+
+function useForm${t("<Values extends Record<string, string | boolean>>")}(fields${t(": FieldRules[]")}, { action, method }${t(": { action: string; method: string }")}) {
+  const [values, setValues] = useState(() => Object.fromEntries(fields.map((field) => [field.name, field.initialValue]))${t(" as Values")});
+  const [errors, setErrors] = useState${t("<FormErrors<Values>>")}({});
+  const setValue = ${t("<Name extends keyof Values>")}(name${t(": Name")}, value${t(": Values[Name]")}) => {
+    setValues((prev) => ({ ...prev, [name]: value }));
+    setErrors((prev) => ({ ...prev, [name]: null }));
+  };
+  const submit = async () => {
+    const nextErrors = Object.fromEntries(fields.map((field) => [field.name, validateFormValue(field, values[field.name])]))${t(" as FormErrors<Values>")};
+    setErrors(nextErrors);
+    if (Object.values(nextErrors).some(Boolean)) return false;
+    const data = Object.fromEntries(
+      fields.map(({ name, type }) => [name, type === "number" && values[name] !== "" ? Number(values[name]) : values[name]]),
+    );
+    await axios({ url: action, method, data });
+    return true;
+  };
+  return { values, errors, setValue, submit };
+}`;
+};
+
+const collectForms = (components) =>
+  components.flatMap((c) => [
+    ...(c.type === "Form" ? [c] : []),
+    ...collectForms(c.props.children ?? []),
+  ]);
+
+const collectResponsiveCss = (components) =>
+  components.flatMap((c) => [
+    ...(c.props.styles.responsive
+      ? [getResponsiveCss(`.${getResponsiveClass(c)}`, c.props.styles)]
+      : []),
+    ...collectResponsiveCss(c.props.children ?? []),
+  ]);
+
+// CSS shorthand for four sides, e.g. ["8px", "0px", "4px", "0px"] ->
+// "8px 0px 4px".
+const toShorthand = ([top, right, bottom, left]) => {
+  if (right !== left) return `${top} ${right} ${bottom} ${left}`;
+  if (top !== bottom) return `${top} ${right} ${bottom}`;
+  return top === right ? top : `${top} ${right}`;
+};
+
+const SIDES = ["Top", "Right", "Bottom", "Left"];
+
+// The box style in the shorthand a person would write, without the values
+// that change nothing (no padding, a single grid column).
+const compactStyle = ({ gridColumn, ...style }) => {
+  const compact = { ...style };
+  for (const property of ["margin", "padding"]) {
+    const values = SIDES.map((side) => style[`${property}${side}`]);
+    SIDES.forEach((side) => delete compact[`${property}${side}`]);
+    if (values.some((value) => value !== "0px"))
+      compact[property] = toShorthand(values);
+  }
+  if (gridColumn !== "span 1 / span 1") compact.gridColumn = gridColumn;
+  return compact;
+};
+
+// Like PageRenderer's tree, except that renderComponent's padding div is
+// merged into the box div around each node. `formVars` maps Form ids to their
+// useForm variable; `formVar` is the one of the Form the node sits in.
+// `toStyle` turns the box style into the printed style prop.
+const buildNode = (
+  component,
+  { page, formVars, formVar, maxColSpan, toStyle },
+) => {
+  const ownFormVar = formVars.get(component.id) ?? formVar;
+  const renderChildren = (container, grid) => (
+    <div className={grid ? "grid" : "space-y-4"} style={grid?.style}>
+      {container.props.children.map((child) =>
+        buildNode(child, {
+          page,
+          formVars,
+          formVar: ownFormVar,
+          maxColSpan: grid?.maxColSpan,
+          toStyle,
+        }),
+      )}
+    </div>
+  );
+  const body = renderComponent(component, {
+    renderChildren,
+    page,
+    exporting: true,
+    formVar: ownFormVar,
+  });
+  return (
+    <div
+      key={component.id}
+      className={
+        component.props.styles.responsive
+          ? getResponsiveClass(component)
+          : undefined
+      }
+      style={toStyle(
+        compactStyle({
+          ...getBoxStyle(component, maxColSpan),
+          ...body.props.style,
+        }),
+      )}
+    >
+      {body.props.children}
+    </div>
+  );
+};
+
+const toTemplateLiteral = (text) =>
+  `\`${text.replace(/\\|`|\$\{/g, (match) => `\\${match}`)}\``;
+
+// The type of a form's values in TypeScript output, by field name.
+const printValuesType = (fields) =>
+  fields.length
+    ? `{\n${fields
+        .map(
+          ({ name, type }) =>
+            `  ${name}: ${type === "checkbox" ? "boolean" : "string"};`,
+        )
+        .join("\n")}\n}`
+    : "Record<string, never>";
+
+// Pass the page theme to emit its custom properties on the page root, and
+// `typescript` for TSX.
+export const generateComponentCode = (
+  components,
+  theme,
+  { typescript = false } = {},
+) => {
+  const forms = collectForms(components);
+  const formVars = new Map(forms.map((form, i) => [form.id, `form${i + 1}`]));
+  const css = collectResponsiveCss(components);
+  // React's CSSProperties type has no custom properties, so TSX style
+  // objects holding some are cast.
+  let castsStyles = false;
+  const toStyle = (style) => {
+    if (!typescript || !Object.keys(style).some((key) => key.startsWith("--")))
+      return style;
+    castsStyles = true;
+    return cast(style, "CSSProperties");
+  };
+  const page = (
+    <div className="p-8" style={theme && toStyle(getThemeStyle(theme))}>
+      {css.length > 0 && (
+        <style>{code(toTemplateLiteral(`\n${css.join("\n")}\n`))}</style>
+      )}
+      <div className="space-y-4">
+        {components.map((component) =>
+          buildNode(component, { page: components, formVars, toStyle }),
+        )}
+      </div>
+    </div>
+  );
+  const uiComponents = new Set();
+  const jsx = printElement(page, "    ", uiComponents);
+
+  const reactImports = [
+    ...(forms.length ? ["useState"] : []),
+    ...(castsStyles ? ["type CSSProperties"] : []),
+  ];
+  const imports = [
+    ...(reactImports.length
+      ? [
+          reactImports.length === 1 && castsStyles
+            ? 'import type { CSSProperties } from "react";'
+            : `import { ${reactImports.join(", ")} } from "react";`,
+        ]
+      : []),
+    ...(forms.length ? ['import axios from "axios";'] : []),
+    ...(uiComponents.size
+      ? [
+          `import { ${[...uiComponents].sort().join(", ")} } from "${RENDERER_PACKAGE}";`,
+        ]
+      : []),
+  ];
+  const formDeclarations = forms.flatMap((form, i) => {
+    const fields = getFormFields(form.props.children).map(getFieldRules);
+    const declaration = `const FORM_${i + 1}_FIELDS${typescript ? ": FieldRules[]" : ""} = `;
+    return [
+      ...(typescript
+        ? [`type Form${i + 1}Values = ${printValuesType(fields)};`]
+        : []),
+      `${declaration}${printValue(fields, "", declaration.length)};`,
+    ];
+  });
+  const formHooks = forms.map((form, i) => {
+    const call = `  const form${i + 1} = useForm${
+      typescript ? `<Form${i + 1}Values>` : ""
+    }(FORM_${i + 1}_FIELDS, `;
+    return `${call}${printValue(
+      { action: form.props.action, method: form.props.method },
+      "  ",
+      call.length,
+    )});`;
+  });
+  return [
+    ...(imports.length ? [imports.join("\n")] : []),
+    ...(forms.length ? [getFormHelpers(typescript), ...formDeclarations] : []),
+    [
+      "export default function GeneratedPage() {",
+      ...formHooks,
+      "  return (",
+      `    ${jsx}`,
+      "  );",
+      "}",
+    ].join("\n"),
+  ].join("\n\n");
+};
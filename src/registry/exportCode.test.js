@@ -0,0 +1,167 @@
+import path from "node:path";
+import * as React from "react";
+import * as jsxRuntime from "react/jsx-runtime";
+import { renderToStaticMarkup } from "react-dom/server";
+import ts from "typescript";
+import { describe, expect, it } from "vitest";
+import * as renderer from "@/renderer";
+import { generateComponentCode } from "./exportCode";
+import { createComponent, getComponentTypes } from "./registry";
+import { BLOCK_TEMPLATES } from "./templates";
+import { DEFAULT_THEME } from "./theme";
+
+// Numbers ids in document order so the output is stable.
+const renumber = (components) => {
+  let count = 0;
+  const walk = (nodes) =>
+    nodes.map((node) => ({
+      ...node,
+      id: `${node.type}-${(count += 1)}`,
+      props: node.props.children
+        ? { ...node.props, children: walk(node.props.children) }
+        : node.props,
+    }));
+  return walk(components);
+};
+
+// Every template plus one of each component type.
+const createPage = () => {
+  const components = [
+    ...BLOCK_TEMPLATES.flatMap((template) => template.create()),
+    ...getComponentTypes().map(createComponent),
+  ];
+  components[0].props.styles.responsive = {
+    mobile: { color: "$secondary", fontSize: 12, marginTop: 0 },
+  };
+  return renumber(components);
+};
+
+// Text that means something in JSX, HTML or a template literal.
+const TRICKY = 'Say "hi" to {name} <b>&amp; `ticks` ${x} \\ \'';
+
+const withProps = (type, props, children) => {
+  const component = createComponent(type);
+  Object.assign(component.props, props);
+  if (children) component.props.children = children;
+  return component;
+};
+
+// Every text prop and label the builder offers, set to TRICKY.
+const createTrickyPage = () =>
+  renumber([
+    withProps("Section", { heading: TRICKY }, [
+      withProps("Text", { text: TRICKY }),
+      withProps("Input", { label: TRICKY, placeholder: TRICKY }),
+    ]),
+    withProps("Card", { title: TRICKY, description: TRICKY }),
+    withProps("Description", { text: TRICKY }),
+    withProps("Button", { text: TRICKY }),
+    withProps("Checkbox", { label: TRICKY }),
+    withProps("Select", { label: TRICKY, options: [TRICKY] }),
+  ]);
+
+const ROOT = path.resolve(__dirname, "../..");
+
+// Type-checks the generated file as if it sat in the project, importing the
+// renderer through its shipped declarations. JSX is only checked for syntax.
+const compile = (fileName, source) => {
+  const options = {
+    strict: true,
+    noEmit: true,
+    skipLibCheck: true,
+    allowJs: true,
+    target: ts.ScriptTarget.ES2020,
+    lib: ["lib.es2020.d.ts", "lib.dom.d.ts"],
+    module: ts.ModuleKind.ESNext,
+    moduleResolution: ts.ModuleResolutionKind.Bundler,
+    jsx: ts.JsxEmit.ReactJSX,
+    types: [],
+    baseUrl: ROOT,
+    paths: { "@your-org/renderer": ["src/renderer/index.d.ts"] },
+  };
+  const filePath = path.join(ROOT, "src", fileName);
+  const host = ts.createCompilerHost(options);
+  const { getSourceFile, fileExists, readFile } = host;
+  host.getSourceFile = (name, ...rest) =>
+    name === filePath
+      ? ts.createSourceFile(name, source, ts.ScriptTarget.ES2020, true)
+      : getSourceFile(name, ...rest);
+  host.fileExists = (name) => name === filePath || fileExists(name);
+  host.readFile = (name) => (name === filePath ? source : readFile(name));
+  const program = ts.createProgram([filePath], options, host);
+  return ts
+    .getPreEmitDiagnostics(program)
+    .map((diagnostic) =>
+      ts.flattenDiagnosticMessageText(diagnostic.messageText, "\n"),
+    );
+};
+
+// Runs the generated file against the real renderer and returns the page's
+// static markup.
+const render = (fileName, source) => {
+  const { outputText } = ts.transpileModule(source, {
+    fileName,
+    compilerOptions: {
+      target: ts.ScriptTarget.ES2020,
+      module: ts.ModuleKind.CommonJS,
+      jsx: ts.JsxEmit.ReactJSX,
+    },
+  });
+  const modules = {
+    react: React,
+    "react/jsx-runtime": jsxRuntime,
+    axios: {},
+    "@your-org/renderer": renderer,
+  };
+  const module = { exports: {} };
+  new Function("require", "module", "exports", outputText)(
+    (name) => modules[name],
+    module,
+    module.exports,
+  );
+  return renderToStaticMarkup(React.createElement(module.exports.default));
+};
+
+// How React writes `text` into markup, in text and attributes alike.
+const escapeHtml = (text) =>
+  text
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#x27;");
+
+// Loading the compiler and React's types takes a few seconds.
+describe("generateComponentCode", { timeout: 30000 }, () => {
+  const page = createPage();
+
+  it("prints JSX that compiles", () => {
+    const source = generateComponentCode(page, DEFAULT_THEME);
+    expect(source).toMatchSnapshot();
+    expect(compile("GeneratedPage.jsx", source)).toEqual([]);
+  });
+
+  it("prints TSX that type-checks against the renderer's types", () => {
+    const source = generateComponentCode(page, DEFAULT_THEME, {
+      typescript: true,
+    });
+    expect(source).toMatchSnapshot();
+    expect(compile("GeneratedPage.tsx", source)).toEqual([]);
+  });
+
+  it.each([
+    ["JSX", "GeneratedPage.jsx", false],
+    ["TSX", "GeneratedPage.tsx", true],
+  ])(
+    "keeps quotes, braces, angle brackets, ampersands and backticks literal in %s",
+    (_, fileName, typescript) => {
+      const source = generateComponentCode(createTrickyPage(), DEFAULT_THEME, {
+        typescript,
+      });
+      expect(compile(fileName, source)).toEqual([]);
+      const markup = render(fileName, source);
+      // Ten texts, the placeholder, and the option's value beside its text.
+      expect(markup.split(escapeHtml(TRICKY)).length - 1).toBe(12);
+    },
+  );
+});
@@ -0,0 +1,83 @@
+import { renderToStaticMarkup } from "react-dom/server";
+import { getBoxStyle, renderComponent } from "@/renderer/renderComponent";
+import { getResponsiveClass, getResponsiveCss } from "./breakpoints";
+import { getThemeStyle } from "./theme";
+
+// --- STATIC HTML EXPORT ---
+// A page as one self-contained HTML document: the markup PageRenderer would
+// draw on desktop, rendered ahead of time, plus the stylesheet it needs. No
+// scripts run on the page; see `standalone` in renderComponent for what
+// changes because of that.
+
+const escapeHtml = (text) =>
+  String(text).replace(
+    /[&<>"']/g,
+    (c) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[
+        c
+      ],
+  );
+
+// Only `</style` can end the stylesheet early; escaped, it stays inert CSS.
+const escapeStyleSheet = (css) => css.replace(/<\/(style)/gi, "<\\/$1");
+
+// Margins go on the box around a node, the rest on renderComponent's padding
+// div inside it.
+const collectResponsiveCss = (components) =>
+  components.flatMap((c) => {
+    const selector = `.${getResponsiveClass(c)}`;
+    return [
+      ...(c.props.styles.responsive
+        ? [getResponsiveCss(selector, c.props.styles, `${selector} > div`)]
+        : []),
+      ...collectResponsiveCss(c.props.children ?? []),
+    ];
+  });
+
+// `page` is a migrated { name, theme, components } whose images already have
+// URLs that work where the file is hosted (see lib/staticExport); `css` is the
+// stylesheet to inline, i.e. the builder's compiled Tailwind CSS.
+export const generatePageHtml = ({ name, theme, components }, { css = "" }) => {
+  const renderChildren = (container, grid) => (
+    <div className={grid ? "grid" : "space-y-4"} style={grid?.style}>
+      {container.props.children.map((child) => (
+        <div
+          key={child.id}
+          className={
+            child.props.styles.responsive
+              ? getResponsiveClass(child)
+              : undefined
+          }
+          style={getBoxStyle(child, grid?.maxColSpan)}
+        >
+          {renderComponent(child, {
+            renderChildren,
+            page: components,
+            standalone: true,
+          })}
+        </div>
+      ))}
+    </div>
+  );
+  const body = renderToStaticMarkup(
+    <div className="p-8" style={theme && getThemeStyle(theme)}>
+      {renderChildren({ props: { children: components } })}
+    </div>,
+  );
+  const responsiveCss = collectResponsiveCss(components).join("\n");
+  return [
+    "<!DOCTYPE html>",
+    '<html lang="en">',
+    "<head>",
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${escapeHtml(name ?? "Page")}</title>`,
+    `<style>\n${escapeStyleSheet(`${css}\n${responsiveCss}`)}\n</style>`,
+    "</head>",
+    "<body>",
+    body,
+    "</body>",
+    "</html>",
+    "",
+  ].join("\n");
+};
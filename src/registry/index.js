@@ -0,0 +1,34 @@
+export {
+  STYLE_FIELDS,
+  applyFieldChange,
+  cloneComponents,
+  createComponent,
+  getComponentTypes,
+  getDefinition,
+  getVisibleFields,
+  registerComponent,
+  validateField,
+} from "./registry";
+export { generateComponentCode } from "./exportCode";
+export { validateBlueprint } from "./validateBlueprint";
+export {
+  SCHEMA_VERSION,
+  migrateBlueprint,
+  migrateComponent,
+} from "./migrations";
+export {
+  DEVICES,
+  clearDeviceStyles,
+  getDeviceForWidth,
+  resolveStyles,
+  setDeviceStyle,
+} from "./breakpoints";
+export {
+  DEFAULT_THEME,
+  FONT_FAMILIES,
+  TOKENS,
+  getThemeStyle,
+  isToken,
+  resolveToken,
+} from "./theme";
+export { BLOCK_TEMPLATES } from "./templates";
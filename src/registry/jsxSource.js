@@ -0,0 +1,153 @@
+import { Fragment, isValidElement } from "react";
+
+// --- JSX SOURCE PRINTER ---
+// Prints React elements back as JSX source, for the code exporter. Values and
+// children wrapped in code() are printed verbatim, and when(test, element)
+// prints as `{test && <element />}`; cast(value, type) adds a TypeScript
+// `as type`. Everything else is printed as a literal, escaped wherever JSX
+// would read it differently.
+
+const CODE = Symbol("code");
+const CAST = Symbol("cast");
+
+export const code = (source) => ({ [CODE]: source });
+
+export const when = (test, element) => ({ [CODE]: test, element });
+
+export const cast = (value, type) => ({ [CAST]: type, value });
+
+const isCode = (value) => value != null && value[CODE] !== undefined;
+
+const MAX_WIDTH = 80;
+
+const isIdentifier = (key) => /^[A-Za-z_$][\w$]*$/.test(key);
+
+// Lists that fit the line stay on it (leaving room for a closing brace or
+// comma); longer ones get one item per line.
+const printList = (open, close, items, indent, column) => {
+  if (!items.length) return `${open}${close}`;
+  const inline = `${open}${open === "{" ? " " : ""}${items.join(", ")}${
+    open === "{" ? " " : ""
+  }${close}`;
+  if (column + inline.length + 2 <= MAX_WIDTH && !inline.includes("\n"))
+    return inline;
+  return `${open}\n${items.map((item) => `${indent}  ${item},`).join("\n")}\n${indent}${close}`;
+};
+
+// A JavaScript expression for `value`, starting at `column` of a line
+// indented by `indent`.
+export const printValue = (value, indent = "", column = indent.length) => {
+  if (isCode(value)) return value[CODE];
+  if (value?.[CAST])
+    return `${printValue(value.value, indent, column)} as ${value[CAST]}`;
+  const itemIndent = `${indent}  `;
+  if (Array.isArray(value))
+    return printList(
+      "[",
+      "]",
+      value.map((item) => printValue(item, itemIndent)),
+      indent,
+      column,
+    );
+  if (value !== null && typeof value === "object")
+    return printList(
+      "{",
+      "}",
+      Object.entries(value)
+        .filter(([, item]) => item !== undefined)
+        .map(([key, item]) => {
+          const name = isIdentifier(key) ? key : JSON.stringify(key);
+          return `${name}: ${printValue(
+            item,
+            itemIndent,
+            itemIndent.length + name.length + 2,
+          )}`;
+        }),
+      indent,
+      column,
+    );
+  return value === undefined ? "undefined" : JSON.stringify(value);
+};
+
+// Attribute strings take no escapes and decode HTML entities.
+const printAttribute = (name, value, indent) => {
+  if (value === true) return name;
+  if (typeof value === "string" && !/["&\r\n]/.test(value))
+    return `${name}="${value}"`;
+  return `${name}={${printValue(value, indent, indent.length + name.length + 2)}}`;
+};
+
+// JSX text cannot hold braces, angle brackets or entities, and loses
+// surrounding whitespace; such text is printed as a string expression.
+const printText = (text) =>
+  text !== "" && text === text.trim() && !/[{}<>&\r\n]/.test(text)
+    ? text
+    : `{${JSON.stringify(text)}}`;
+
+const flattenChildren = (children) =>
+  [children]
+    .flat(Infinity)
+    .flatMap((child) =>
+      child == null || typeof child === "boolean"
+        ? []
+        : isValidElement(child) && child.type === Fragment
+          ? flattenChildren(child.props.children)
+          : [child],
+    );
+
+// Components are printed by display name (function names do not survive
+// minification) and collected into `components`, for the imports; host
+// elements by tag name.
+const getTypeName = (type, components) => {
+  if (typeof type === "string") return type;
+  if (!type.displayName) throw new Error("Components need a displayName.");
+  components.add(type.displayName);
+  return type.displayName;
+};
+
+const printChild = (child, indent, components) => {
+  if (typeof child === "string" || typeof child === "number")
+    return printText(String(child));
+  if (isValidElement(child)) return printElement(child, indent, components);
+  if (isCode(child) && child.element) {
+    const element = printElement(child.element, `${indent}  `, components);
+    return element.includes("\n")
+      ? `{${child[CODE]} && (\n${indent}  ${element}\n${indent})}`
+      : `{${child[CODE]} && ${element}}`;
+  }
+  if (isCode(child)) return `{${child[CODE]}}`;
+  throw new Error(`Cannot print ${JSON.stringify(child)} as JSX.`);
+};
+
+// The element as JSX, laid out for a line indented by `indent`. Props that
+// are undefined or null are left out; keys and refs are not printed.
+export const printElement = (element, indent = "", components = new Set()) => {
+  const { children, ...props } = element.props;
+  const name = getTypeName(element.type, components);
+  const attributes = Object.entries(props)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => {
+      if (typeof value === "function")
+        throw new Error(`${name} prop "${key}" is a function.`);
+      return printAttribute(key, value, `${indent}  `);
+    });
+  const items = flattenChildren(children);
+  const inlineOpen = `<${name}${attributes.map((a) => ` ${a}`).join("")}`;
+  const fits =
+    !inlineOpen.includes("\n") &&
+    indent.length + inlineOpen.length + 3 <= MAX_WIDTH;
+  const open = fits
+    ? inlineOpen
+    : `<${name}\n${attributes.map((a) => `${indent}  ${a}`).join("\n")}\n${indent}`;
+  if (!items.length) return `${open}${fits ? " " : ""}/>`;
+  if (items.length === 1 && typeof items[0] !== "object") {
+    const inline = `${open}>${printText(String(items[0]))}</${name}>`;
+    if (fits && indent.length + inline.length <= MAX_WIDTH) return inline;
+  }
+  const body = items
+    .map(
+      (child) => `${indent}  ${printChild(child, `${indent}  `, components)}`,
+    )
+    .join("\n");
+  return `${open}>\n${body}\n${indent}</${name}>`;
+};
@@ -0,0 +1,87 @@
+import { getDefinition } from "./registry";
+import { DEFAULT_THEME } from "./theme";
+
+// --- BLUEPRINT MIGRATIONS ---
+// Pages carry a `schemaVersion` and every node a `version` (its definition's
+// `version` when it was created). Loading an older blueprint runs it through
+// the page migrations below and then each node's component migrations
+// (`migrations` on the definition, keyed by the version they upgrade to).
+// Both steps only ever move forward; blueprints from a newer builder are left
+// as they are for validateBlueprint to report.
+
+export const SCHEMA_VERSION = 2;
+
+const PADDING_STYLES = {
+  paddingTop: 0,
+  paddingBottom: 0,
+  paddingLeft: 0,
+  paddingRight: 0,
+};
+
+const isObject = (value) => typeof value === "object" && value !== null;
+
+const isNode = (node) => isObject(node) && isObject(node.props);
+
+const mapNodes = (components, fn) =>
+  components.map((node) => {
+    if (!isNode(node)) return node;
+    const next = fn(node);
+    return Array.isArray(next.props?.children)
+      ? {
+          ...next,
+          props: {
+            ...next.props,
+            children: mapNodes(next.props.children, fn),
+          },
+        }
+      : next;
+  });
+
+// Index i upgrades a page from schemaVersion i to i + 1.
+const PAGE_MIGRATIONS = [
+  // 0 -> 1: unversioned pages predate component versions and padding styles.
+  (page) => ({
+    ...page,
+    components: mapNodes(page.components, (node) => ({
+      ...node,
+      version: node.version ?? 1,
+      props: {
+        ...node.props,
+        styles: node.props.styles && {
+          ...PADDING_STYLES,
+          ...node.props.styles,
+        },
+      },
+    })),
+  }),
+  // 1 -> 2: pages gained a theme; older pages keep the default look.
+  (page) => ({ ...page, theme: page.theme ?? DEFAULT_THEME }),
+];
+
+export const migrateComponent = (node) => {
+  const definition = getDefinition(node.type);
+  const target = definition?.version ?? 1;
+  let { version = 1, props } = node;
+  while (version < target) {
+    version += 1;
+    const migrate = definition.migrations?.[version];
+    if (migrate) props = migrate(props);
+  }
+  return version === node.version ? node : { ...node, version, props };
+};
+
+// Upgrades a page ({ schemaVersion?, name, components }) or a bare component
+// array to the current format. Anything that is not shaped like a blueprint
+// is returned untouched.
+export const migrateBlueprint = (blueprint) => {
+  const isBare = Array.isArray(blueprint);
+  let page = isBare ? { components: blueprint } : blueprint;
+  if (!Array.isArray(page?.components)) return blueprint;
+  let schemaVersion = page.schemaVersion ?? 0;
+  while (schemaVersion < SCHEMA_VERSION) {
+    page = PAGE_MIGRATIONS[schemaVersion](page);
+    schemaVersion += 1;
+  }
+  const components = mapNodes(page.components, migrateComponent);
+  return isBare ? components : { ...page, schemaVersion, components };
+};
@@ -0,0 +1,194 @@
+import { describe, expect, it } from "vitest";
+import {
+  SCHEMA_VERSION,
+  migrateBlueprint,
+  migrateComponent,
+} from "./migrations";
+import { DEFAULT_THEME } from "./theme";
+
+const STYLES = {
+  marginTop: 10,
+  marginBottom: 4,
+  marginLeft: 0,
+  marginRight: 0,
+};
+const PADDING = {
+  paddingTop: 0,
+  paddingBottom: 0,
+  paddingLeft: 0,
+  paddingRight: 0,
+};
+
+const node = (type, props, version) => ({
+  id: `${type}-1`,
+  type,
+  ...(version === undefined ? {} : { version }),
+  props: { styles: STYLES, ...props },
+});
+
+describe("page migrations", () => {
+  it("0 -> 1 versions nodes and adds padding styles, children included", () => {
+    const page = migrateBlueprint({
+      name: "Old",
+      components: [
+        node("Section", {
+          heading: "Hi",
+          children: [node("Text", { text: "Nested" })],
+        }),
+      ],
+    });
+    const [section] = page.components;
+    expect(section.version).toBe(1);
+    expect(section.props.styles).toEqual({ ...PADDING, ...STYLES });
+    expect(section.props.children[0].version).toBe(1);
+    expect(section.props.children[0].props.styles).toEqual({
+      ...PADDING,
+      ...STYLES,
+    });
+  });
+
+  it("0 -> 1 keeps padding the node already has", () => {
+    const [text] = migrateBlueprint([
+      node("Text", { styles: { ...STYLES, paddingTop: 12 } }),
+    ]);
+    expect(text.props.styles.paddingTop).toBe(12);
+    expect(text.props.styles.paddingLeft).toBe(0);
+  });
+
+  it("1 -> 2 gives pages without a theme the default one", () => {
+    const page = migrateBlueprint({ schemaVersion: 1, components: [] });
+    expect(page).toEqual({
+      schemaVersion: SCHEMA_VERSION,
+      components: [],
+      theme: DEFAULT_THEME,
+    });
+  });
+
+  it("1 -> 2 keeps an existing theme", () => {
+    const theme = { ...DEFAULT_THEME, radius: 0 };
+    const page = migrateBlueprint({ schemaVersion: 1, theme, components: [] });
+    expect(page.theme).toBe(theme);
+  });
+
+  it("leaves current and newer pages' page data as it is", () => {
+    const text = node("Text", { text: "Hi" }, 1);
+    const current = {
+      schemaVersion: SCHEMA_VERSION,
+      theme: DEFAULT_THEME,
+      components: [text],
+    };
+    expect(migrateBlueprint(current)).toEqual(current);
+    const newer = { ...current, schemaVersion: SCHEMA_VERSION + 1 };
+    expect(migrateBlueprint(newer)).toEqual(newer);
+  });
+
+  it("returns input that is not a blueprint untouched", () => {
+    expect(migrateBlueprint(null)).toBe(null);
+    expect(migrateBlueprint("page")).toBe("page");
+    const page = { name: "No components" };
+    expect(migrateBlueprint(page)).toBe(page);
+  });
+
+  it("skips nodes without a props object instead of throwing", () => {
+    const broken = { id: "Text-1", type: "Text", props: null };
+    expect(migrateBlueprint([broken, "text"])).toEqual([broken, "text"]);
+  });
+});
+
+describe("component migrations", () => {
+  it("Select 2 splits comma-separated options", () => {
+    const select = migrateComponent(
+      node("Select", { label: "Size", options: "Small, Medium,, Large" }, 1),
+    );
+    expect(select.version).toBe(3);
+    expect(select.props.options).toEqual(["Small", "Medium", "Large"]);
+  });
+
+  it("Select 2 keeps options that are already a list", () => {
+    const select = migrateComponent(
+      node("Select", { label: "Size", options: ["S", "M"] }, 1),
+    );
+    expect(select.props.options).toEqual(["S", "M"]);
+  });
+
+  it("Select 3 adds a field name and the validation rules", () => {
+    const select = migrateComponent(
+      node("Select", { label: "Shirt size", options: ["S", "M"] }, 2),
+    );
+    expect(select.props).toMatchObject({
+      name: "shirtSize",
+      placeholder: "",
+      required: false,
+      options: ["S", "M"],
+    });
+  });
+
+  it("Button 2 adds the click action", () => {
+    const button = migrateComponent(node("Button", { text: "Go" }, 1));
+    expect(button.version).toBe(2);
+    expect(button.props.action).toBe("none");
+    const linked = migrateComponent(
+      node("Button", { text: "Go", action: "link" }, 1),
+    );
+    expect(linked.props.action).toBe("link");
+  });
+
+  it.each([
+    ["Input", "Email address", "emailAddress", { inputType: "text" }],
+    ["Textarea", "Your message", "yourMessage", { minLength: null }],
+    ["Checkbox", "I agree", "iAgree", { checked: false }],
+  ])(
+    "%s 2 names the field after its label and adds the rules",
+    (type, label, name, defaults) => {
+      const field = migrateComponent(node(type, { label }, 1));
+      expect(field.version).toBe(2);
+      expect(field.props).toMatchObject({
+        label,
+        name,
+        required: false,
+        ...defaults,
+      });
+    },
+  );
+
+  it("Input 2 keeps the props the field already has", () => {
+    const input = migrateComponent(
+      node("Input", { label: "Age", inputType: "number", required: true }, 1),
+    );
+    expect(input.props).toMatchObject({
+      name: "age",
+      inputType: "number",
+      required: true,
+    });
+  });
+
+  it("Graph 2 gives older graphs the sample data and labels", () => {
+    const graph = migrateComponent(node("Graph", { chartType: "line" }, 1));
+    expect(graph.version).toBe(2);
+    expect(graph.props).toMatchObject({
+      chartType: "line",
+      title: "Monthly Sales",
+      tableId: "",
+    });
+    expect(graph.props.data.headers).toEqual([
+      "Month",
+      "Product A",
+      "Product B",
+    ]);
+  });
+
+  it("Table 2 adds sorting and pagination", () => {
+    const table = migrateComponent(node("Table", { rows: 2, cols: 2 }, 1));
+    expect(table.version).toBe(2);
+    expect(table.props).toMatchObject({ sortable: true, pageSize: 10 });
+    const paged = migrateComponent(
+      node("Table", { rows: 2, cols: 2, sortable: false, pageSize: 5 }, 1),
+    );
+    expect(paged.props).toMatchObject({ sortable: false, pageSize: 5 });
+  });
+
+  it("returns current nodes unchanged", () => {
+    const button = node("Button", { text: "Go", action: "none" }, 2);
+    expect(migrateComponent(button)).toBe(button);
+  });
+});
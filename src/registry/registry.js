@@ -0,0 +1,205 @@
+import { cloneWithNewIds, createComponentId } from "@/lib/blueprintTree";
+import { COMPONENT_DEFINITIONS } from "./definitions";
+import { TOKENS, isCssColor, isToken } from "./theme";
+
+// --- COMPONENT REGISTRY ---
+// Adding a component type is a single entry in COMPONENT_DEFINITIONS (or a
+// registerComponent call from outside this package).
+const REGISTRY = new Map(COMPONENT_DEFINITIONS.map((d) => [d.type, d]));
+
+// Field types: string (single line), text (multi-line), number, enum,
+// boolean, color, image, list (array of strings), data (a Table-shaped
+// { headers, cells } grid whose first column holds labels and the rest
+// numbers) and ref (the id of another component on the page, of `refType`).
+// Constraints: required, maxLength, integer and min/max (number), options
+// (enum; strings or { value, label }), minItems (list), format (string:
+// "identifier" or "regex") and taken (string: values already in use, which
+// builders fill in from the page). Number fields marked `nullable` may be
+// left empty (null). Fields with `tokens` also accept a theme token of that
+// group, e.g. "$primary", and fields with `visible: (props) => boolean` are
+// only offered when it holds.
+export const STYLE_FIELDS = [
+  {
+    name: "color",
+    label: "Font Color",
+    type: "color",
+    tokens: "colors",
+    wide: true,
+  },
+  {
+    name: "fontSize",
+    label: "Font Size (px)",
+    type: "number",
+    min: 8,
+    max: 96,
+    wide: true,
+  },
+  ...["Top", "Bottom", "Left", "Right"].map((side) => ({
+    name: `margin${side}`,
+    label: `Margin ${side}`,
+    type: "number",
+    tokens: "spacing",
+  })),
+  ...["Top", "Bottom", "Left", "Right"].map((side) => ({
+    name: `padding${side}`,
+    label: `Padding ${side}`,
+    type: "number",
+    min: 0,
+    tokens: "spacing",
+  })),
+];
+
+export const registerComponent = (definition) => {
+  REGISTRY.set(definition.type, definition);
+};
+
+export const getDefinition = (type) => REGISTRY.get(type);
+
+// The fields the PropertiesPanel shows for a component in its current state.
+export const getVisibleFields = ({ type, props }) =>
+  getDefinition(type).fields.filter(
+    (field) => !field.visible || field.visible(props),
+  );
+
+// Types offered in a builder's sidebar; pass a list to restrict the palette.
+export const getComponentTypes = (only) =>
+  [...REGISTRY.values()]
+    .filter((d) => !d.hidden && (!only || only.includes(d.type)))
+    .map((d) => d.type);
+
+const getFieldDefaults = (fields) =>
+  Object.fromEntries(fields.map((field) => [field.name, field.default]));
+
+export const createComponent = (type) => {
+  const definition = getDefinition(type);
+  const props = JSON.parse(
+    JSON.stringify({
+      ...getFieldDefaults(definition.fields),
+      ...definition.defaultProps,
+    }),
+  );
+  if (definition.createChildren) {
+    props.children = definition.createChildren(props, createComponent);
+  }
+  return {
+    id: createComponentId(type),
+    type,
+    version: definition.version ?? 1,
+    props,
+  };
+};
+
+// Copies of the nodes with fresh ids. Ref fields that point at a node copied
+// along follow it to its copy; other references are kept.
+export const cloneComponents = (components) => {
+  const ids = new Map();
+  const remapRefs = (component) => {
+    const props = { ...component.props };
+    getDefinition(component.type)
+      ?.fields.filter(
+        (field) => field.type === "ref" && ids.has(props[field.name]),
+      )
+      .forEach((field) => {
+        props[field.name] = ids.get(props[field.name]);
+      });
+    if (Array.isArray(props.children))
+      props.children = props.children.map(remapRefs);
+    return { ...component, props };
+  };
+  return components
+    .map((component) => cloneWithNewIds(component, ids))
+    .map(remapRefs);
+};
+
+const IDENTIFIER = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+const isValidRegex = (pattern) => {
+  try {
+    new RegExp(pattern);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Returns a message describing why `value` breaks the field's constraints,
+// or null when it is valid.
+export const validateField = (field, value) => {
+  const isEmpty =
+    value === undefined ||
+    value === null ||
+    value === "" ||
+    (Array.isArray(value) && value.length === 0);
+  if (isEmpty) return field.required ? `${field.label} is required.` : null;
+  if (field.tokens && isToken(value)) {
+    return TOKENS[field.tokens].includes(value.slice(1))
+      ? null
+      : `${value} is not a ${field.tokens} token.`;
+  }
+  switch (field.type) {
+    case "number":
+      if (Number.isNaN(value)) return `${field.label} must be a number.`;
+      if (field.integer && !Number.isInteger(value))
+        return `${field.label} must be a whole number.`;
+      if (field.min !== undefined && value < field.min)
+        return `${field.label} must be at least ${field.min}.`;
+      if (field.max !== undefined && value > field.max)
+        return `${field.label} must be at most ${field.max}.`;
+      return null;
+    case "enum": {
+      const values = field.options.map((o) => o.value ?? o);
+      return values.includes(value)
+        ? null
+        : `${field.label} must be one of ${values.join(", ")}.`;
+    }
+    case "data": {
+      const { headers, cells } = value;
+      if (
+        !Array.isArray(headers) ||
+        !Array.isArray(cells) ||
+        !cells.every(
+          (row) => Array.isArray(row) && row.length === headers.length,
+        )
+      )
+        return `${field.label} must have one value per column in every row.`;
+      if (headers.length < 2 || cells.length < 1)
+        return `${field.label} needs a label column, a series and a row.`;
+      const invalid = cells
+        .flatMap((row) => row.slice(1))
+        .find((v) => String(v).trim() === "" || Number.isNaN(Number(v)));
+      return invalid === undefined
+        ? null
+        : `${field.label} values must be numbers; "${invalid}" is not.`;
+    }
+    case "color":
+      return isCssColor(value)
+        ? null
+        : `${field.label} must be a hex or CSS color.`;
+    case "list":
+      if (field.minItems !== undefined && value.length < field.minItems)
+        return `${field.label} needs at least ${field.minItems} item(s).`;
+      if (value.some((item) => item.trim() === ""))
+        return `${field.label} cannot contain empty items.`;
+      return null;
+    default:
+      if (field.maxLength !== undefined && value.length > field.maxLength)
+        return `${field.label} must be ${field.maxLength} characters or fewer.`;
+      if (field.format === "identifier" && !IDENTIFIER.test(value))
+        return `${field.label} must start with a letter and use only letters, digits and underscores.`;
+      if (field.taken?.includes(value))
+        return `${field.label} "${value}" is already in use.`;
+      if (field.format === "regex" && !isValidRegex(value))
+        return `${field.label} must be a valid regular expression.`;
+      return null;
+  }
+};
+
+// Returns the component's props after setting one (already validated) field,
+// letting the type derive dependent props (e.g. Table data from rows/cols).
+export const applyFieldChange = (component, name, value) => {
+  const definition = getDefinition(component.type);
+  const props = { ...component.props, [name]: value };
+  return definition.onFieldChange
+    ? definition.onFieldChange(props, name, { createComponent })
+    : props;
+};
@@ -0,0 +1,35 @@
+import { describe, expect, it } from "vitest";
+import { cloneComponents, createComponent } from "./registry";
+
+const withProps = (component, props) => ({
+  ...component,
+  props: { ...component.props, ...props },
+});
+
+describe("cloneComponents", () => {
+  it("gives the copies fresh ids, children included", () => {
+    const section = withProps(createComponent("Section"), {
+      children: [createComponent("Text")],
+    });
+    const [copy] = cloneComponents([section]);
+    expect(copy.id).not.toBe(section.id);
+    expect(copy.props.children[0].id).not.toBe(section.props.children[0].id);
+    expect(copy.props.styles).not.toBe(section.props.styles);
+  });
+
+  it("points refs at the copy of a node copied along", () => {
+    const table = createComponent("Table");
+    const graph = withProps(createComponent("Graph"), { tableId: table.id });
+    const section = withProps(createComponent("Section"), {
+      children: [graph],
+    });
+    const [tableCopy, sectionCopy] = cloneComponents([table, section]);
+    expect(sectionCopy.props.children[0].props.tableId).toBe(tableCopy.id);
+  });
+
+  it("keeps refs to nodes that were not copied", () => {
+    const graph = withProps(createComponent("Graph"), { tableId: "Table-1" });
+    const [copy] = cloneComponents([graph]);
+    expect(copy.props.tableId).toBe("Table-1");
+  });
+});
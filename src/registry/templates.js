@@ -0,0 +1,184 @@
+import { applyFieldChange, createComponent } from "./registry";
+
+// --- BLOCK TEMPLATES ---
+// Built-in groups of pre-configured components, offered next to the user's
+// saved blocks. `create` builds a fresh copy (new ids) for every drop.
+
+// A component with field values set as if edited in the PropertiesPanel (so
+// derived props like Table data follow) and `styles` merged over the
+// defaults. Columns take one child list per column.
+const build = (type, { styles, ...fields } = {}, children) => {
+  let component = createComponent(type);
+  for (const [name, value] of Object.entries(fields)) {
+    component = {
+      ...component,
+      props: applyFieldChange(component, name, value),
+    };
+  }
+  const props = { ...component.props };
+  if (styles) props.styles = { ...props.styles, ...styles };
+  if (children && type === "Columns") {
+    props.children = props.children.map((column, i) => ({
+      ...column,
+      props: { ...column.props, children: children[i] ?? [] },
+    }));
+  } else if (children) {
+    props.children = children;
+  }
+  return { ...component, props };
+};
+
+const table = (headers, cells) =>
+  build("Table", {
+    rows: cells.length + 1,
+    cols: headers.length,
+    data: { headers, cells },
+  });
+
+const pricingCard = (title, price, features, cta) =>
+  build("Card", { title, description: features }, [
+    build("Text", { text: price, styles: { fontSize: 28, color: "$primary" } }),
+    build("Button", { text: cta }),
+  ]);
+
+const metricCard = (title, value, change) =>
+  build("Card", { title, description: change }, [
+    build("Text", { text: value, styles: { fontSize: 32, color: "$primary" } }),
+  ]);
+
+export const BLOCK_TEMPLATES = [
+  {
+    id: "contact-form",
+    name: "Contact Form",
+    description: "Name, email and message fields with a send button.",
+    create: () => [
+      build("Section", { heading: "Contact Us" }, [
+        build("Description", {
+          text: "Have a question? Send us a message and we'll get back to you within one business day.",
+        }),
+        build("Form", { action: "/api/contact" }, [
+          build("Columns", { columns: 2 }, [
+            [
+              build("Input", {
+                label: "Name",
+                name: "name",
+                placeholder: "Jane Doe",
+                required: true,
+              }),
+            ],
+            [
+              build("Input", {
+                label: "Email",
+                name: "email",
+                inputType: "email",
+                placeholder: "jane@example.com",
+                required: true,
+              }),
+            ],
+          ]),
+          build("Textarea", {
+            label: "Message",
+            name: "message",
+            placeholder: "How can we help?",
+            required: true,
+            maxLength: 2000,
+          }),
+          build("Button", { text: "Send Message", action: "submit" }),
+        ]),
+      ]),
+    ],
+  },
+  {
+    id: "login-form",
+    name: "Login Form",
+    description: "A sign-in card with email, password and remember me.",
+    create: () => [
+      build(
+        "Card",
+        { title: "Sign In", description: "Welcome back! Please log in." },
+        [
+          build(
+            "Form",
+            {
+              action: "/api/login",
+              successMessage: "Signed in.",
+              errorMessage: "Sign in failed. Check your email and password.",
+            },
+            [
+              build("Input", {
+                label: "Email",
+                name: "email",
+                inputType: "email",
+                placeholder: "you@example.com",
+                required: true,
+              }),
+              build("Input", {
+                label: "Password",
+                name: "password",
+                inputType: "password",
+                placeholder: "••••••••",
+                required: true,
+              }),
+              build("Checkbox", { label: "Remember me", name: "rememberMe" }),
+              build("Button", { text: "Sign In", action: "submit" }),
+            ],
+          ),
+        ],
+      ),
+    ],
+  },
+  {
+    id: "pricing-table",
+    name: "Pricing Table",
+    description: "Three plan cards and a feature comparison.",
+    create: () => [
+      build("Section", { heading: "Pricing" }, [
+        build("Grid", { columns: 3 }, [
+          pricingCard("Basic", "$9/mo", "For individuals.", "Get Started"),
+          pricingCard("Pro", "$29/mo", "For growing teams.", "Start Trial"),
+          pricingCard(
+            "Enterprise",
+            "Custom",
+            "For large organizations.",
+            "Contact Sales",
+          ),
+        ]),
+        table(
+          ["Feature", "Basic", "Pro", "Enterprise"],
+          [
+            ["Projects", "3", "Unlimited", "Unlimited"],
+            ["Team members", "1", "10", "Unlimited"],
+            ["Support", "Email", "Priority", "Dedicated"],
+          ],
+        ),
+      ]),
+    ],
+  },
+  {
+    id: "dashboard-summary",
+    name: "Dashboard Summary",
+    description: "Key metrics, a chart and recent activity.",
+    create: () => [
+      build("Section", { heading: "Dashboard" }, [
+        build("Grid", { columns: 3 }, [
+          metricCard("Revenue", "$48,200", "+12% from last month"),
+          metricCard("Active Users", "2,340", "+5% from last month"),
+          metricCard("Churn", "1.8%", "-0.4% from last month"),
+        ]),
+        build("Columns", { columns: 2 }, [
+          [build("Graph", { chartType: "bar" })],
+          [
+            table(
+              ["Customer", "Plan", "Amount"],
+              [
+                ["Acme Corp", "Pro", "$290"],
+                ["Globex", "Enterprise", "$1,200"],
+                ["Initech", "Basic", "$9"],
+              ],
+            ),
+          ],
+        ]),
+      ]),
+    ],
+  },
+];
@@ -0,0 +1,102 @@
+// --- THEME & DESIGN TOKENS ---
+// A page's theme is stored on the blueprint and applied as CSS custom
+// properties on the page root. Style values can reference a token by name
+// (e.g. color: "$primary", marginTop: "$md"), which renders as a var(), so
+// switching themes restyles every component without touching its props.
+
+export const DEFAULT_THEME = {
+  colors: {
+    primary: "#0f172a",
+    secondary: "#475569",
+    text: "#334155",
+    background: "#ffffff",
+  },
+  fontFamily: "ui-sans-serif, system-ui, sans-serif",
+  radius: 8,
+  spacing: { xs: 4, sm: 8, md: 16, lg: 24, xl: 32 },
+};
+
+export const FONT_FAMILIES = [
+  { label: "System Sans", value: "ui-sans-serif, system-ui, sans-serif" },
+  { label: "Serif", value: "ui-serif, Georgia, serif" },
+  { label: "Monospace", value: "ui-monospace, SFMono-Regular, monospace" },
+  { label: "Rounded", value: "ui-rounded, 'Nunito', sans-serif" },
+];
+
+// Token groups, as referenced by a field's `tokens` key.
+export const TOKENS = {
+  colors: Object.keys(DEFAULT_THEME.colors),
+  spacing: Object.keys(DEFAULT_THEME.spacing),
+};
+
+export const isToken = (value) =>
+  typeof value === "string" && value.startsWith("$");
+
+// Hex colors, named colors and color functions such as rgb(), so that color
+// values are safe to place in stylesheets.
+const CSS_COLOR =
+  /^(?:#(?:[\da-f]{3,4}|[\da-f]{6}|[\da-f]{8})|[a-z]+|(?:rgba?|hsla?|hwb|lab|lch|oklab|oklch|color)\([\w\s.,%/+-]*\))$/i;
+
+export const isCssColor = (value) =>
+  typeof value === "string" && CSS_COLOR.test(value);
+
+const tokenVar = (name) => {
+  if (TOKENS.colors.includes(name))
+    return `var(--color-${name}, ${DEFAULT_THEME.colors[name]})`;
+  if (TOKENS.spacing.includes(name))
+    return `var(--space-${name}, ${DEFAULT_THEME.spacing[name]}px)`;
+  return undefined;
+};
+
+// Turns a style value into CSS: tokens become var()s, numbers pixels.
+export const toCssValue = (value) => {
+  if (value === undefined) return undefined;
+  if (isToken(value)) return tokenVar(value.slice(1));
+  return typeof value === "number" ? `${value}px` : value;
+};
+
+// The concrete value a token stands for in `theme`, e.g. for color inputs.
+export const resolveToken = (value, theme = DEFAULT_THEME) => {
+  if (!isToken(value)) return value;
+  const name = value.slice(1);
+  return theme.colors[name] ?? theme.spacing[name];
+};
+
+// Custom properties (plus the base font and colors) for a page root.
+export const getThemeStyle = (theme = DEFAULT_THEME) => ({
+  ...Object.fromEntries(
+    Object.entries(theme.colors).map(([name, value]) => [
+      `--color-${name}`,
+      value,
+    ]),
+  ),
+  ...Object.fromEntries(
+    Object.entries(theme.spacing).map(([name, value]) => [
+      `--space-${name}`,
+      `${value}px`,
+    ]),
+  ),
+  "--radius": `${theme.radius}px`,
+  "--font-family": theme.fontFamily,
+  fontFamily: "var(--font-family)",
+  color: "var(--color-text)",
+  backgroundColor: "var(--color-background)",
+});
+
+// Returns a message for a theme that cannot be applied, or null.
+export const validateTheme = (theme) => {
+  if (typeof theme !== "object" || theme === null) return "must be an object.";
+  const missing = [
+    ...TOKENS.colors.filter((name) => typeof theme.colors?.[name] !== "string"),
+    ...TOKENS.spacing.filter(
+      (name) => typeof theme.spacing?.[name] !== "number",
+    ),
+  ];
+  if (missing.length) return `is missing tokens: ${missing.join(", ")}.`;
+  const invalid = TOKENS.colors.find((name) => !isCssColor(theme.colors[name]));
+  if (invalid) return `color ${invalid} must be a hex or CSS color.`;
+  if (typeof theme.radius !== "number") return "radius must be a number.";
+  if (typeof theme.fontFamily !== "string")
+    return "fontFamily must be a string.";
+  return null;
+};
@@ -0,0 +1,22 @@
+import type { Blueprint, ComponentNode, Theme } from "./blueprint";
+
+// The components are only checked when there are no errors.
+export type BlueprintValidation =
+  | {
+      name: string | undefined;
+      theme: Theme | undefined;
+      components: ComponentNode[];
+      errors: [];
+    }
+  | {
+      name: string | undefined;
+      theme: unknown;
+      components: unknown[];
+      errors: [string, ...string[]];
+    };
+
+export function validateBlueprint(blueprint: unknown): BlueprintValidation;
+
+export function isBlueprint(value: unknown): value is Blueprint;
+
+export function isComponentNode(value: unknown): value is ComponentNode;
@@ -0,0 +1,308 @@
+import { getFormFields } from "@/lib/forms";
+import { COLUMN_TYPES } from "@/lib/tableData";
+import { DEVICES } from "./breakpoints";
+import { SCHEMA_VERSION } from "./migrations";
+import { isToken, validateTheme } from "./theme";
+import { STYLE_FIELDS, getDefinition, validateField } from "./registry";
+
+// --- BLUEPRINT VALIDATION ---
+// Checks an imported blueprint against the registry before it reaches the
+// canvas. Every problem is reported with the path of the offending node, e.g.
+// `components[1].props.children[0]`, so users can find it in their JSON. What
+// passes matches the types in blueprint.d.ts.
+
+const isPlainObject = (value) =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+const FIELD_VALUE_TYPES = {
+  number: "number",
+  boolean: "boolean",
+  list: "array",
+  data: "object",
+};
+
+const typeOf = (value) =>
+  Array.isArray(value) ? "array" : value === null ? "null" : typeof value;
+
+// A Grid child's placement, as the builder's Grid Cell panel sets it.
+const LAYOUT_FIELDS = [
+  {
+    name: "colSpan",
+    label: "Column Span",
+    type: "number",
+    integer: true,
+    min: 1,
+  },
+  {
+    name: "alignSelf",
+    label: "Alignment",
+    type: "enum",
+    options: ["stretch", "start", "center", "end"],
+  },
+];
+
+const isTableCell = (cell) =>
+  typeof cell === "string" || typeof cell === "number";
+
+// Checks `values` against the field schema, reporting under `prefix`, e.g.
+// `components[0].props`.
+const validateValues = (fields, values, prefix, errors) => {
+  fields.forEach((field) => {
+    const value = values[field.name];
+    if (value === undefined || (value === null && field.nullable)) return;
+    const expected = FIELD_VALUE_TYPES[field.type] ?? "string";
+    const isFieldToken = field.tokens && isToken(value);
+    if (typeOf(value) !== expected && !isFieldToken) {
+      const article = ["array", "object"].includes(expected) ? "an" : "a";
+      errors.push(
+        `${prefix}.${field.name} must be ${article} ${expected}, got ${typeOf(value)}.`,
+      );
+      return;
+    }
+    if (
+      field.type === "list" &&
+      !value.every((item) => typeof item === "string")
+    ) {
+      errors.push(`${prefix}.${field.name} must only hold strings.`);
+      return;
+    }
+    if (
+      field.type === "data" &&
+      !(
+        Array.isArray(value.headers) &&
+        value.headers.every((header) => typeof header === "string") &&
+        Array.isArray(value.cells) &&
+        value.cells.every((row) => Array.isArray(row) && row.every(isTableCell))
+      )
+    ) {
+      errors.push(
+        `${prefix}.${field.name} must have string headers and rows of strings or numbers.`,
+      );
+      return;
+    }
+    const message = validateField(field, value);
+    if (message) errors.push(`${prefix}.${field.name}: ${message}`);
+  });
+};
+
+const validateStyles = (styles, path, errors) => {
+  const prefix = `${path}.props.styles`;
+  if (!isPlainObject(styles)) {
+    errors.push(`${prefix} is missing.`);
+    return;
+  }
+  validateValues(STYLE_FIELDS, styles, prefix, errors);
+  if (styles.responsive === undefined) return;
+  const devices = DEVICES.slice(1).map((d) => d.name);
+  const { responsive } = styles;
+  if (
+    !isPlainObject(responsive) ||
+    !Object.entries(responsive).every(
+      ([device, overrides]) =>
+        devices.includes(device) && isPlainObject(overrides),
+    )
+  ) {
+    errors.push(
+      `${prefix}.responsive may only hold ${devices.join(" and ")} override objects.`,
+    );
+    return;
+  }
+  Object.entries(responsive).forEach(([device, overrides]) =>
+    validateValues(
+      STYLE_FIELDS,
+      overrides,
+      `${prefix}.responsive.${device}`,
+      errors,
+    ),
+  );
+};
+
+const validateTableShape = (props, path, errors) => {
+  const { data, rows, cols, hasHeader } = props;
+  if (typeof rows !== "number" || typeof cols !== "number") {
+    errors.push(`${path}.props.rows and cols must be numbers.`);
+    return;
+  }
+  if (!isPlainObject(data) || !Array.isArray(data.headers)) {
+    errors.push(`${path}.props.data must have a headers array.`);
+    return;
+  }
+  if (!Array.isArray(data.cells) || !data.cells.every(Array.isArray)) {
+    errors.push(`${path}.props.data.cells must be an array of rows.`);
+    return;
+  }
+  if (
+    !data.headers.every((header) => typeof header === "string") ||
+    !data.cells.every((row) => row.every(isTableCell))
+  )
+    errors.push(
+      `${path}.props.data must have string headers and cells of strings or numbers.`,
+    );
+  if (data.headers.length !== cols)
+    errors.push(
+      `${path}.props.data.headers has ${data.headers.length} entries but cols is ${cols}.`,
+    );
+  const cellRows = hasHeader ? rows - 1 : rows;
+  if (data.cells.length !== cellRows)
+    errors.push(
+      `${path}.props.data.cells has ${data.cells.length} rows but ${cellRows} are expected.`,
+    );
+  data.cells.forEach((row, r) => {
+    if (row.length !== cols)
+      errors.push(
+        `${path}.props.data.cells[${r}] has ${row.length} cells but cols is ${cols}.`,
+      );
+  });
+  if (
+    data.types !== undefined &&
+    !(
+      Array.isArray(data.types) &&
+      data.types.length === cols &&
+      data.types.every((type) => COLUMN_TYPES.includes(type))
+    )
+  )
+    errors.push(
+      `${path}.props.data.types must list one of ${COLUMN_TYPES.join(", ")} per column.`,
+    );
+};
+
+// Values are submitted by field name, so a Form's names must be unique.
+const validateFormNames = (node, path, errors) => {
+  const seen = new Set();
+  getFormFields(node.props.children).forEach(({ props: { name } }) => {
+    if (seen.has(name))
+      errors.push(`${path} has more than one field named "${name}".`);
+    seen.add(name);
+  });
+};
+
+const validateNode = (node, path, parentType, seenIds, errors) => {
+  if (!isPlainObject(node)) {
+    errors.push(`${path} must be an object.`);
+    return;
+  }
+  if (typeof node.id !== "string" || node.id === "") {
+    errors.push(`${path}.id must be a non-empty string.`);
+  } else if (seenIds.has(node.id)) {
+    errors.push(`${path}.id "${node.id}" is used more than once.`);
+  } else {
+    seenIds.add(node.id);
+  }
+
+  const definition = getDefinition(node.type);
+  if (!definition) {
+    errors.push(`${path}.type "${node.type}" is not a registered component.`);
+    return;
+  }
+  const version = definition.version ?? 1;
+  if (node.version !== undefined && typeof node.version !== "number") {
+    errors.push(`${path}.version must be a number.`);
+  } else if (node.version > version) {
+    errors.push(
+      `${path} is ${node.type} version ${node.version}, newer than the supported version ${version}.`,
+    );
+  }
+  if ((node.type === "Column") !== (parentType === "Columns")) {
+    errors.push(
+      node.type === "Column"
+        ? `${path} is a Column outside of a Columns container.`
+        : `${path} must be a Column; Columns only holds Column nodes.`,
+    );
+  }
+  if (!isPlainObject(node.props)) {
+    errors.push(`${path}.props must be an object.`);
+    return;
+  }
+  validateStyles(node.props.styles, path, errors);
+  const { layout } = node.props;
+  if (layout !== undefined && !isPlainObject(layout)) {
+    errors.push(`${path}.props.layout must be an object.`);
+  } else if (layout !== undefined) {
+    validateValues(LAYOUT_FIELDS, layout, `${path}.props.layout`, errors);
+  }
+
+  validateValues(definition.fields, node.props, `${path}.props`, errors);
+
+  if (node.type === "Table") validateTableShape(node.props, path, errors);
+
+  const isContainerType = "children" in definition.defaultProps;
+  const { children } = node.props;
+  if (isContainerType && !Array.isArray(children)) {
+    errors.push(`${path}.props.children must be an array.`);
+  } else if (!isContainerType && children !== undefined) {
+    errors.push(`${path}.props.children is not allowed on ${node.type}.`);
+  } else if (isContainerType) {
+    const errorCount = errors.length;
+    children.forEach((child, i) =>
+      validateNode(
+        child,
+        `${path}.props.children[${i}]`,
+        node.type,
+        seenIds,
+        errors,
+      ),
+    );
+    // Field names are only safe to compare once the fields are valid.
+    if (node.type === "Form" && errors.length === errorCount)
+      validateFormNames(node, path, errors);
+  }
+};
+
+// Accepts the exported `{ schemaVersion, name, components }` shape or a bare
+// component array, after migrateBlueprint has upgraded it. Returns
+// { name, theme, components, errors }; components is only usable when errors
+// is empty.
+export const validateBlueprint = (blueprint) => {
+  const errors = [];
+  const components = Array.isArray(blueprint)
+    ? blueprint
+    : blueprint?.components;
+  if (!Array.isArray(components)) {
+    return {
+      name: undefined,
+      components: [],
+      errors: [
+        "Blueprint must be an array or an object with a components array.",
+      ],
+    };
+  }
+  if (
+    blueprint?.schemaVersion !== undefined &&
+    typeof blueprint.schemaVersion !== "number"
+  ) {
+    errors.push("Blueprint schemaVersion must be a number.");
+  } else if (blueprint?.schemaVersion > SCHEMA_VERSION) {
+    errors.push(
+      `Blueprint schemaVersion ${blueprint.schemaVersion} is newer than the supported version ${SCHEMA_VERSION}.`,
+    );
+  }
+  if (blueprint?.name !== undefined && typeof blueprint.name !== "string") {
+    errors.push("Blueprint name must be a string.");
+  }
+  if (blueprint?.theme !== undefined) {
+    const message = validateTheme(blueprint.theme);
+    if (message) errors.push(`Blueprint theme ${message}`);
+  }
+  const seenIds = new Set();
+  components.forEach((node, i) =>
+    validateNode(node, `components[${i}]`, null, seenIds, errors),
+  );
+  return {
+    name: typeof blueprint?.name === "string" ? blueprint.name : undefined,
+    theme: blueprint?.theme,
+    components,
+    errors,
+  };
+};
+
+// Type guards for the types in blueprint.d.ts. Like validateBlueprint they
+// expect migrated input. A page is the object form, and a component node any
+// node but a Column, which only exists inside Columns.
+export const isBlueprint = (value) =>
+  isPlainObject(value) && validateBlueprint(value).errors.length === 0;
+
+export const isComponentNode = (value) => {
+  const errors = [];
+  validateNode(value, "component", null, new Set(), errors);
+  return errors.length === 0;
+};
@@ -0,0 +1,197 @@
+import {
+  createContext,
+  useContext,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+import { getDeviceForWidth } from "@/registry/breakpoints";
+import { migrateBlueprint } from "@/registry/migrations";
+import { getThemeStyle } from "@/registry/theme";
+import { AssetProvider } from "./components";
+import { getBoxStyle, renderComponent } from "./renderComponent";
+
+// Holds the current device, the page's component tree and, for interactive
+// renders, the form store (see lib/forms).
+const RenderContext = createContext({
+  device: "desktop",
+  form: null,
+  page: [],
+});
+
+const RenderedComponent = ({ component, maxColSpan }) => {
+  const { device, form, page } = useContext(RenderContext);
+  return (
+    <div style={getBoxStyle(component, maxColSpan, device)}>
+      {renderComponent(component, { renderChildren, form, device, page })}
+    </div>
+  );
+};
+
+// Tracks which breakpoint the window is in, so overrides follow resizes.
+const useWindowDevice = () => {
+  const [device, setDevice] = useState(() =>
+    typeof window === "undefined"
+      ? "desktop"
+      : getDeviceForWidth(window.innerWidth),
+  );
+  useEffect(() => {
+    const handleResize = () => setDevice(getDeviceForWidth(window.innerWidth));
+    window.addEventListener("resize", handleResize);
+    return () => window.removeEventListener("resize", handleResize);
+  }, []);
+  return device;
+};
+
+const renderChildren = (container, grid) => (
+  <div className={grid ? "grid" : "space-y-4"} style={grid?.style}>
+    {container.props.children.map((child) => (
+      <RenderedComponent
+        key={child.id}
+        component={child}
+        maxColSpan={grid?.maxColSpan}
+      />
+    ))}
+  </div>
+);
+
+// Accepts either a saved page ({ name, theme, components }) or a bare component
+// array, upgrading blueprints saved by older builders first.
+const BlueprintView = ({ blueprint, className, interactive, device }) => {
+  const windowDevice = useWindowDevice();
+  const [values, setValues] = useState({});
+  const [errors, setErrors] = useState({});
+  const migrated = useMemo(() => migrateBlueprint(blueprint), [blueprint]);
+  const { components, theme } = Array.isArray(migrated)
+    ? { components: migrated }
+    : migrated;
+  const context = useMemo(
+    () => ({
+      device: device ?? windowDevice,
+      page: components,
+      form: interactive
+        ? {
+            values,
+            errors,
+            // Editing a field clears its message until the next submit.
+            setValue: (id, value) => {
+              setValues((prev) => ({ ...prev, [id]: value }));
+              setErrors((prev) => ({ ...prev, [id]: null }));
+            },
+            setErrors: (next) => setErrors((prev) => ({ ...prev, ...next })),
+          }
+        : null,
+    }),
+    [device, windowDevice, interactive, values, errors, components],
+  );
+  return (
+    <RenderContext.Provider value={context}>
+      <div className={className} style={theme && getThemeStyle(theme)}>
+        {renderChildren({ props: { children: components } })}
+      </div>
+    </RenderContext.Provider>
+  );
+};
+
+const RemotePage = ({
+  pageId,
+  fetchPage,
+  fallback,
+  className,
+  interactive,
+  device,
+}) => {
+  const [state, setState] = useState({ status: "loading" });
+  // Only a new pageId refetches, so callers may pass an inline fetchPage.
+  const fetchPageRef = useRef(fetchPage);
+  useEffect(() => {
+    fetchPageRef.current = fetchPage;
+  });
+
+  useEffect(() => {
+    let cancelled = false;
+    setState({ status: "loading" });
+    fetchPageRef.current(pageId).then(
+      (page) => {
+        if (cancelled) return;
+        setState(
+          page
+            ? { status: "ready", page }
+            : {
+                status: "error",
+                error: new Error(`Page "${pageId}" was not found.`),
+              },
+        );
+      },
+      (error) => !cancelled && setState({ status: "error", error }),
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, [pageId]);
+
+  if (state.status === "loading") return fallback;
+  if (state.status === "error") {
+    return (
+      <div className="p-4 text-red-600" role="alert">
+        Failed to load page: {state.error.message}
+      </div>
+    );
+  }
+  return (
+    <BlueprintView
+      blueprint={state.page}
+      className={className}
+      interactive={interactive}
+      device={device}
+    />
+  );
+};
+
+// Renders a saved blueprint without any builder chrome. Pass `blueprint`
+// directly, or a `pageId` plus a `fetchPage(pageId)` that resolves to the page.
+// `interactive` lets visitors type into and toggle form controls, keeping the
+// values in local state, and submit Forms to their endpoint. Breakpoint
+// overrides follow the window width unless `device` pins one. Images that
+// reference uploaded assets ("asset:<id>") need `resolveAsset(id)`, resolving
+// to the asset's URL, e.g. the builder's assetStore.getAssetUrl.
+export function PageRenderer({ resolveAsset, ...props }) {
+  if (!resolveAsset) return <PageContent {...props} />;
+  return (
+    <AssetProvider resolveAsset={resolveAsset}>
+      <PageContent {...props} />
+    </AssetProvider>
+  );
+}
+
+function PageContent({
+  blueprint,
+  pageId,
+  fetchPage,
+  fallback = null,
+  className = "p-8",
+  interactive = false,
+  device,
+}) {
+  if (blueprint) {
+    return (
+      <BlueprintView
+        blueprint={blueprint}
+        className={className}
+        interactive={interactive}
+        device={device}
+      />
+    );
+  }
+  return (
+    <RemotePage
+      pageId={pageId}
+      fetchPage={fetchPage}
+      fallback={fallback}
+      className={className}
+      interactive={interactive}
+      device={device}
+    />
+  );
+}
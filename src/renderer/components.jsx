@@ -0,0 +1,1027 @@
+import React, {
+  createContext,
+  useContext,
+  useState,
+  useEffect,
+  useRef,
+} from "react";
+import { format, isValid, parseISO } from "date-fns";
+import { Separator } from "@/components/ui/separator";
+import { getAssetId, isAssetRef } from "@/lib/assetStore";
+import {
+  COLUMN_TYPES,
+  compareCells,
+  deleteColumn,
+  deleteRow,
+  getColumnType,
+  insertColumn,
+  insertRow,
+  moveColumn,
+  parseDelimited,
+  pasteGrid,
+  setCell,
+  setColumnType,
+} from "@/lib/tableData";
+
+// --- MOCK UI COMPONENTS ---
+// Shared by the builder canvas and PageRenderer. In a real project these
+// would be the shadcn/ui components from '@/components/ui'. Colors and radii
+// read the page theme's custom properties (see registry/theme), falling back
+// to the default look outside a themed page, e.g. in the builder chrome.
+const Button = React.forwardRef(({ children, variant, ...props }, ref) => (
+  <button
+    ref={ref}
+    className={`px-4 py-2 rounded-[var(--radius,0.5rem)] font-semibold text-white ${
+      variant === "destructive"
+        ? "bg-red-500 hover:bg-red-600"
+        : "bg-[var(--color-primary,#0f172a)] hover:opacity-90"
+    } focus:outline-none focus:ring-2 focus:ring-slate-500 focus:ring-opacity-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed`}
+    {...props}
+  >
+    {children}
+  </button>
+));
+Button.displayName = "Button";
+
+// --- ASSETS ---
+// Image sources may reference the asset store ("asset:<id>", see
+// lib/assetStore). Builders and PageRenderer pass `resolveAsset(id)`, which
+// resolves to a URL (or null), through AssetProvider.
+const AssetContext = createContext(null);
+
+const AssetProvider = ({ resolveAsset, children }) => (
+  <AssetContext.Provider value={resolveAsset}>{children}</AssetContext.Provider>
+);
+
+// The URL to show for `src`: itself unless it is an asset reference, which
+// is undefined while resolving and null when the asset cannot be found.
+const useAssetUrl = (src) => {
+  const resolveAsset = useContext(AssetContext);
+  const [resolved, setResolved] = useState(null);
+  const isAsset = isAssetRef(src);
+  useEffect(() => {
+    if (!isAsset) return;
+    let cancelled = false;
+    const settle = (url) => !cancelled && setResolved({ src, url });
+    if (!resolveAsset) settle(null);
+    else resolveAsset(getAssetId(src)).then(settle, () => settle(null));
+    return () => {
+      cancelled = true;
+    };
+  }, [src, isAsset, resolveAsset]);
+  if (!isAsset) return src;
+  return resolved?.src === src ? resolved.url : undefined;
+};
+
+const Image = React.forwardRef(({ src, alt, className, ...props }, ref) => {
+  const url = useAssetUrl(src);
+  const classes =
+    className ?? "w-full rounded-[var(--radius,0.5rem)] shadow-sm";
+  if (!url) {
+    return (
+      <div
+        ref={ref}
+        role="img"
+        aria-label={alt}
+        className={`${className ?? `${classes} min-h-[6rem]`} flex items-center justify-center bg-slate-100 text-xs text-slate-400`}
+      >
+        {url === undefined ? "Loading image…" : "Image not found"}
+      </div>
+    );
+  }
+  return <img ref={ref} className={classes} src={url} alt={alt} {...props} />;
+});
+Image.displayName = "Image";
+
+const Input = React.forwardRef((props, ref) => (
+  <input
+    ref={ref}
+    className="w-full px-3 py-2 border border-slate-300 rounded-[var(--radius,0.375rem)] shadow-sm placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-slate-500 focus:border-slate-500"
+    {...props}
+  />
+));
+Input.displayName = "Input";
+
+const Textarea = React.forwardRef((props, ref) => (
+  <textarea
+    ref={ref}
+    className="w-full px-3 py-2 border border-slate-300 rounded-[var(--radius,0.375rem)] shadow-sm placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-slate-500 focus:border-slate-500"
+    {...props}
+  />
+));
+Textarea.displayName = "Textarea";
+
+// A `placeholder` adds an empty first choice.
+const Select = React.forwardRef(({ options, placeholder, ...props }, ref) => (
+  <select
+    ref={ref}
+    className="w-full px-3 py-2 border border-slate-300 rounded-[var(--radius,0.375rem)] shadow-sm focus:outline-none focus:ring-2 focus:ring-slate-500"
+    {...props}
+  >
+    {placeholder && <option value="">{placeholder}</option>}
+    {options?.map((opt) => {
+      const { value, label } =
+        typeof opt === "string" ? { value: opt, label: opt } : opt;
+      return (
+        <option key={value} value={value}>
+          {label}
+        </option>
+      );
+    })}
+  </select>
+));
+Select.displayName = "Select";
+
+const Checkbox = React.forwardRef(({ label, style, ...props }, ref) => (
+  <label className="flex items-center space-x-2">
+    <input
+      type="checkbox"
+      ref={ref}
+      className="h-4 w-4 rounded border-slate-300 accent-[var(--color-primary,#2563eb)] focus:ring-blue-500"
+      {...props}
+    />
+    <span className="text-sm font-medium text-slate-700" style={style}>
+      {label}
+    </span>
+  </label>
+));
+Checkbox.displayName = "Checkbox";
+
+const Text = React.forwardRef(({ text, ...props }, ref) => (
+  <p ref={ref} className="text-base text-slate-800" style={{ ...props.style }}>
+    {text}
+  </p>
+));
+Text.displayName = "Text";
+
+const Description = React.forwardRef(({ text, ...props }, ref) => (
+  <p ref={ref} className="text-sm text-slate-600" style={{ ...props.style }}>
+    {text}
+  </p>
+));
+Description.displayName = "Description";
+
+// --- CHARTS ---
+// Graph reads Table-shaped data ({ headers, cells }): the first column holds
+// the labels and every further column is one series. Pie charts show the
+// first series only.
+const CHART_COLORS = [
+  "#3b82f6",
+  "#10b981",
+  "#f59e0b",
+  "#ef4444",
+  "#8b5cf6",
+  "#06b6d4",
+];
+const CHART_WIDTH = 400;
+const CHART_HEIGHT = 220;
+const PLOT = { left: 44, right: 12, top: 12, bottom: 40 };
+
+// Non-numeric values (e.g. from a bound table) count as 0.
+const toSeries = ({ headers = [], cells = [] } = {}) => ({
+  labels: cells.map((row) => row[0]),
+  series: headers.slice(1).map((name, i) => ({
+    name,
+    values: cells.map((row) => Number(row[i + 1]) || 0),
+  })),
+});
+
+// Round tick values spanning [min, max], about four steps apart.
+const getTicks = (min, max) => {
+  const raw = (max - min || 1) / 4;
+  const magnitude = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 5, 10].find((m) => m * magnitude >= raw) * magnitude;
+  const lo = Math.floor(min / step) * step;
+  const hi = Math.ceil(max / step) * step || step;
+  const ticks = [];
+  for (let t = lo; t <= hi + step / 2; t += step) ticks.push(+t.toFixed(10));
+  return { lo, hi, ticks };
+};
+
+const axisText = { fontSize: 10, fill: "#64748b" };
+
+const CartesianChart = ({ chartType, labels, series, xLabel, yLabel }) => {
+  const values = series.flatMap((s) => s.values);
+  const { lo, hi, ticks } = getTicks(
+    Math.min(0, ...values),
+    Math.max(0, ...values),
+  );
+  const plotWidth = CHART_WIDTH - PLOT.left - PLOT.right;
+  const plotHeight = CHART_HEIGHT - PLOT.top - PLOT.bottom;
+  const y = (v) => PLOT.top + plotHeight - ((v - lo) / (hi - lo)) * plotHeight;
+  const band = plotWidth / labels.length;
+  const x = (i) => PLOT.left + band * (i + 0.5);
+  const barWidth = (band * 0.8) / series.length;
+  return (
+    <>
+      {ticks.map((tick) => (
+        <g key={tick}>
+          <line
+            x1={PLOT.left}
+            x2={CHART_WIDTH - PLOT.right}
+            y1={y(tick)}
+            y2={y(tick)}
+            stroke="#e2e8f0"
+          />
+          <text
+            x={PLOT.left - 6}
+            y={y(tick) + 3}
+            textAnchor="end"
+            {...axisText}
+          >
+            {tick}
+          </text>
+        </g>
+      ))}
+      {labels.map((label, i) => (
+        <text
+          key={i}
+          x={x(i)}
+          y={CHART_HEIGHT - PLOT.bottom + 14}
+          textAnchor="middle"
+          {...axisText}
+        >
+          {label}
+        </text>
+      ))}
+      {chartType === "bar"
+        ? series.map((s, j) =>
+            s.values.map((v, i) => (
+              <rect
+                key={`${j}-${i}`}
+                x={PLOT.left + band * (i + 0.1) + barWidth * j}
+                y={y(Math.max(v, 0))}
+                width={barWidth}
+                height={Math.abs(y(v) - y(0))}
+                fill={CHART_COLORS[j % CHART_COLORS.length]}
+              />
+            )),
+          )
+        : series.map((s, j) => {
+            const color = CHART_COLORS[j % CHART_COLORS.length];
+            const points = s.values.map((v, i) => `${x(i)},${y(v)}`).join(" ");
+            return (
+              <g key={j}>
+                {chartType === "area" && (
+                  <polygon
+                    points={`${x(0)},${y(0)} ${points} ${x(s.values.length - 1)},${y(0)}`}
+                    fill={color}
+                    fillOpacity={0.2}
+                  />
+                )}
+                <polyline
+                  points={points}
+                  fill="none"
+                  stroke={color}
+                  strokeWidth={2}
+                />
+              </g>
+            );
+          })}
+      {xLabel && (
+        <text
+          x={PLOT.left + plotWidth / 2}
+          y={CHART_HEIGHT - 6}
+          textAnchor="middle"
+          {...axisText}
+          fontWeight="600"
+        >
+          {xLabel}
+        </text>
+      )}
+      {yLabel && (
+        <text
+          transform={`translate(12 ${PLOT.top + plotHeight / 2}) rotate(-90)`}
+          textAnchor="middle"
+          {...axisText}
+          fontWeight="600"
+        >
+          {yLabel}
+        </text>
+      )}
+    </>
+  );
+};
+
+const PieChart = ({ values }) => {
+  const total = values.reduce((sum, v) => sum + Math.max(v, 0), 0);
+  const cx = CHART_WIDTH / 2;
+  const cy = CHART_HEIGHT / 2;
+  const r = CHART_HEIGHT / 2 - 10;
+  let angle = -Math.PI / 2;
+  return values.map((v, i) => {
+    const share = Math.max(v, 0) / total;
+    const color = CHART_COLORS[i % CHART_COLORS.length];
+    // A full circle cannot be drawn as a single arc.
+    if (share >= 1)
+      return <circle key={i} cx={cx} cy={cy} r={r} fill={color} />;
+    const start = angle;
+    angle += share * 2 * Math.PI;
+    const point = (a) => `${cx + r * Math.cos(a)} ${cy + r * Math.sin(a)}`;
+    return (
+      <path
+        key={i}
+        d={`M ${cx} ${cy} L ${point(start)} A ${r} ${r} 0 ${share > 0.5 ? 1 : 0} 1 ${point(angle)} Z`}
+        fill={color}
+      />
+    );
+  });
+};
+
+const Graph = React.forwardRef(
+  (
+    { chartType = "bar", title, data, xLabel, yLabel, showLegend, ...props },
+    ref,
+  ) => {
+    const { labels, series } = toSeries(data);
+    const isPie = chartType === "pie";
+    const hasData =
+      labels.length > 0 &&
+      series.length > 0 &&
+      (!isPie || series[0].values.some((v) => v > 0));
+    const legend = isPie ? labels : series.map((s) => s.name);
+    return (
+      <div ref={ref} className="w-full bg-slate-50 p-4 rounded-lg" {...props}>
+        {title && (
+          <p className="text-center font-medium text-slate-700 mb-2">{title}</p>
+        )}
+        {hasData ? (
+          <svg
+            role="img"
+            aria-label={title || `${chartType} chart`}
+            className="w-full h-auto"
+            viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+          >
+            {isPie ? (
+              <PieChart values={series[0].values} />
+            ) : (
+              <CartesianChart
+                chartType={chartType}
+                labels={labels}
+                series={series}
+                xLabel={xLabel}
+                yLabel={yLabel}
+              />
+            )}
+          </svg>
+        ) : (
+          <p className="py-12 text-center text-sm text-slate-500">
+            No data to chart.
+          </p>
+        )}
+        {showLegend && hasData && (
+          <ul className="mt-2 flex flex-wrap justify-center gap-x-4 gap-y-1 text-xs text-slate-600">
+            {legend.map((name, i) => (
+              <li key={i} className="flex items-center gap-1">
+                <span
+                  className="inline-block w-3 h-3 rounded-sm"
+                  style={{
+                    backgroundColor: CHART_COLORS[i % CHART_COLORS.length],
+                  }}
+                />
+                {name}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    );
+  },
+);
+Graph.displayName = "Graph";
+
+const formatCell = (value, type) => {
+  if (type !== "date" || !value) return value;
+  const date = parseISO(value);
+  return isValid(date) ? format(date, "PP") : value;
+};
+
+// The input over a cell while it is edited. Enter/Tab commit and move (with
+// shift, backwards), Escape cancels and blurring commits in place.
+const CellEditor = ({ initialValue, selectAll, type, onCommit, onCancel }) => {
+  const [text, setText] = useState(initialValue);
+  const inputRef = useRef(null);
+  // Unmounting after Enter can also fire a blur; only finish once.
+  const doneRef = useRef(false);
+  const finish = (fn) => {
+    if (doneRef.current) return;
+    doneRef.current = true;
+    fn();
+  };
+  useEffect(() => {
+    inputRef.current?.focus();
+    if (selectAll) inputRef.current?.select();
+  }, [selectAll]);
+  const handleKeyDown = (e) => {
+    // Keep the builder's canvas shortcuts out of the cell.
+    e.stopPropagation();
+    if (e.key === "Enter" || e.key === "Tab") {
+      e.preventDefault();
+      const direction =
+        e.key === "Enter" ? [e.shiftKey ? -1 : 1, 0] : [0, e.shiftKey ? -1 : 1];
+      finish(() => onCommit(text, direction));
+    } else if (e.key === "Escape") {
+      finish(onCancel);
+    }
+  };
+  return (
+    <input
+      ref={inputRef}
+      type={type}
+      aria-label="Cell value"
+      value={text}
+      onChange={(e) => setText(e.target.value)}
+      onBlur={() => finish(() => onCommit(text))}
+      onKeyDown={handleKeyDown}
+      onPaste={(e) => e.stopPropagation()}
+      className="w-full h-full p-1 box-border absolute inset-0 outline-none border-2 border-blue-500 z-10 bg-white"
+    />
+  );
+};
+
+const SORT_LABELS = { asc: "ascending", desc: "descending" };
+const NEXT_SORT = { asc: "desc", desc: null };
+
+// Rows are passed as [cells, index] pairs so sorted and paged previews keep
+// each row's position in the data.
+const toRows = (cells) => cells.map((row, index) => [row, index]);
+
+// With onDataChange the table is an editable grid: arrow keys, Tab and Enter
+// move between cells, Enter/F2 or typing edits, Delete clears, Ctrl+C/X/V
+// copy, cut and paste values (pasted CSV/TSV ranges fill from the active
+// cell, growing the table), and a toolbar inserts, deletes, moves and types
+// rows and columns at the active cell. Header columns also reorder by
+// dragging their handle. min/max limits count body rows. Without
+// onDataChange it is a preview that can sort by column and paginate.
+const Table = React.forwardRef(
+  (
+    {
+      data,
+      hasHeader,
+      onDataChange,
+      sortable = false,
+      pageSize = 0,
+      minRows = 1,
+      maxRows = Infinity,
+      minCols = 1,
+      maxCols = Infinity,
+      typedColumns = true,
+      ...props
+    },
+    ref,
+  ) => {
+    const [active, setActive] = useState(null);
+    const [editing, setEditing] = useState(null);
+    const [hasFocus, setHasFocus] = useState(false);
+    const [sort, setSort] = useState(null);
+    const [page, setPage] = useState(0);
+    const [draggedCol, setDraggedCol] = useState(null);
+    const cellRefs = useRef(new Map());
+    const focusPendingRef = useRef(false);
+
+    const editable = !!onDataChange;
+    const firstRow = hasHeader ? -1 : 0;
+    const rowCount = data?.cells.length ?? 0;
+    const colCount = data?.headers.length ?? 0;
+    const clampCell = ({ row, col }) => ({
+      row: Math.max(firstRow, Math.min(row, rowCount - 1)),
+      col: Math.max(0, Math.min(col, colCount - 1)),
+    });
+    // Deleting rows or columns can leave the active cell out of range.
+    const cell = active && clampCell(active);
+    const cellKey = cell && `${cell.row}:${cell.col}`;
+
+    useEffect(() => {
+      if (!focusPendingRef.current || editing) return;
+      focusPendingRef.current = false;
+      cellRefs.current.get(cellKey)?.focus();
+    });
+
+    if (!data) return <div>Table data is missing.</div>;
+
+    const getValue = ({ row, col }) =>
+      row === -1 ? data.headers[col] : data.cells[row][col];
+    const moveTo = (row, col) => {
+      focusPendingRef.current = true;
+      setActive(clampCell({ row, col }));
+    };
+    const moveBy = ([dRow, dCol]) => moveTo(cell.row + dRow, cell.col + dCol);
+
+    const commitEdit = (value, direction) => {
+      setEditing(null);
+      if (value !== getValue(cell))
+        onDataChange(setCell(data, cell.row, cell.col, value));
+      if (direction) moveBy(direction);
+    };
+    const cancelEdit = () => {
+      setEditing(null);
+      focusPendingRef.current = true;
+    };
+
+    // The next or previous cell in reading order, or null past either end.
+    const getTabTarget = (step) => {
+      const index = (cell.row - firstRow) * colCount + cell.col + step;
+      const count = (rowCount - firstRow) * colCount;
+      if (index < 0 || index >= count) return null;
+      return {
+        row: Math.floor(index / colCount) + firstRow,
+        col: index % colCount,
+      };
+    };
+
+    const ARROWS = {
+      ArrowUp: [-1, 0],
+      ArrowDown: [1, 0],
+      ArrowLeft: [0, -1],
+      ArrowRight: [0, 1],
+    };
+    const handleKeyDown = (e) => {
+      if (!cell || editing || !e.target.dataset.cell) return;
+      // Leave modified keys (undo, component moves, select all) to the builder.
+      if (e.altKey || e.ctrlKey || e.metaKey) return;
+      if (ARROWS[e.key]) {
+        moveBy(ARROWS[e.key]);
+      } else if (e.key === "Tab") {
+        const target = getTabTarget(e.shiftKey ? -1 : 1);
+        if (!target) return;
+        moveTo(target.row, target.col);
+      } else if (e.key === "Home" || e.key === "End") {
+        moveTo(cell.row, e.key === "Home" ? 0 : colCount - 1);
+      } else if (e.key === "Enter" || e.key === "F2") {
+        setEditing({ value: getValue(cell), selectAll: true });
+      } else if (e.key === "Delete" || e.key === "Backspace") {
+        onDataChange(setCell(data, cell.row, cell.col, ""));
+      } else if (e.key.length === 1) {
+        setEditing({ value: e.key, selectAll: false });
+      } else {
+        return;
+      }
+      e.preventDefault();
+      e.stopPropagation();
+    };
+
+    // Clipboard events on a cell act on its value instead of the component.
+    const handleCopy = (e, clear = false) => {
+      if (!cell || editing || !e.target.dataset.cell) return;
+      e.preventDefault();
+      e.stopPropagation();
+      e.clipboardData.setData("text/plain", getValue(cell));
+      if (clear) onDataChange(setCell(data, cell.row, cell.col, ""));
+    };
+    const handlePaste = (e) => {
+      if (!cell || editing || !e.target.dataset.cell) return;
+      e.preventDefault();
+      e.stopPropagation();
+      const text = e.clipboardData.getData("text/plain");
+      if (!text) return;
+      onDataChange(
+        pasteGrid(data, cell.row, cell.col, parseDelimited(text), {
+          maxRows,
+          maxCols,
+        }),
+      );
+    };
+
+    const handleColumnDrop = (col) => {
+      if (draggedCol === null || draggedCol === col) return;
+      onDataChange(moveColumn(data, draggedCol, col));
+      if (cell?.col === draggedCol) setActive({ ...cell, col });
+      setDraggedCol(null);
+    };
+
+    const toolbarActions = cell && [
+      {
+        label: "Insert row above",
+        icon: "↥",
+        disabled: cell.row === -1 || rowCount >= maxRows,
+        run: () => insertRow(data, cell.row),
+      },
+      {
+        label: "Insert row below",
+        icon: "↧",
+        disabled: rowCount >= maxRows,
+        run: () => insertRow(data, cell.row + 1),
+        move: [1, 0],
+      },
+      {
+        label: "Delete row",
+        icon: "✕",
+        disabled: cell.row === -1 || rowCount <= minRows,
+        run: () => deleteRow(data, cell.row),
+      },
+      {
+        label: "Insert column left",
+        icon: "⇤",
+        disabled: colCount >= maxCols,
+        run: () => insertColumn(data, cell.col),
+      },
+      {
+        label: "Insert column right",
+        icon: "⇥",
+        disabled: colCount >= maxCols,
+        run: () => insertColumn(data, cell.col + 1),
+        move: [0, 1],
+      },
+      {
+        label: "Delete column",
+        icon: "✕",
+        disabled: colCount <= minCols,
+        run: () => deleteColumn(data, cell.col),
+      },
+      {
+        label: "Move column left",
+        icon: "←",
+        disabled: cell.col === 0,
+        run: () => moveColumn(data, cell.col, cell.col - 1),
+        move: [0, -1],
+      },
+      {
+        label: "Move column right",
+        icon: "→",
+        disabled: cell.col === colCount - 1,
+        run: () => moveColumn(data, cell.col, cell.col + 1),
+        move: [0, 1],
+      },
+    ];
+    const runAction = ({ run, move }) => {
+      onDataChange(run());
+      if (move) setActive({ row: cell.row + move[0], col: cell.col + move[1] });
+    };
+
+    // Preview: sort a copy of the rows, then cut out the current page.
+    let rows = toRows(data.cells);
+    let pageCount = 1;
+    let currentPage = 0;
+    if (!editable) {
+      if (sort) {
+        const type = getColumnType(data, sort.col);
+        const direction = sort.dir === "asc" ? 1 : -1;
+        rows = [...rows].sort(([a], [b]) =>
+          compareCells(a[sort.col], b[sort.col], type, direction),
+        );
+      }
+      if (pageSize > 0) {
+        pageCount = Math.max(1, Math.ceil(rows.length / pageSize));
+        currentPage = Math.min(page, pageCount - 1);
+        rows = rows.slice(currentPage * pageSize, (currentPage + 1) * pageSize);
+      }
+    }
+    const toggleSort = (col) => {
+      setPage(0);
+      setSort(
+        sort?.col !== col
+          ? { col, dir: "asc" }
+          : NEXT_SORT[sort.dir] && { col, dir: NEXT_SORT[sort.dir] },
+      );
+    };
+
+    const renderCell = (row, col) => {
+      const isHeader = row === -1;
+      const type = getColumnType(data, col);
+      const value = isHeader ? data.headers[col] : data.cells[row][col];
+      const CellTag = isHeader ? "th" : "td";
+      const align =
+        !isHeader && type === "number" ? "text-right tabular-nums" : "";
+      if (!editable) {
+        const sortDir = sort?.col === col ? sort.dir : null;
+        return (
+          <CellTag
+            key={col}
+            scope={isHeader ? "col" : undefined}
+            aria-sort={
+              isHeader && sortable
+                ? (SORT_LABELS[sortDir] ?? "none")
+                : undefined
+            }
+            className={`border border-slate-300 px-2 py-1 ${align}`}
+          >
+            {isHeader && sortable ? (
+              <button
+                type="button"
+                onClick={() => toggleSort(col)}
+                className="w-full flex items-center justify-between gap-1 font-semibold"
+              >
+                {value}
+                <span aria-hidden="true" className="text-xs text-slate-400">
+                  {sortDir === "asc" ? "▲" : sortDir === "desc" ? "▼" : "↕"}
+                </span>
+              </button>
+            ) : (
+              <span className="block min-h-[24px]">
+                {isHeader ? value : formatCell(value, type)}
+              </span>
+            )}
+          </CellTag>
+        );
+      }
+      const key = `${row}:${col}`;
+      const isActive = key === cellKey;
+      // One tab stop for the grid: the active cell, or the first one.
+      const isTabStop = cell ? isActive : row === firstRow && col === 0;
+      return (
+        <CellTag
+          key={col}
+          ref={(el) =>
+            el ? cellRefs.current.set(key, el) : cellRefs.current.delete(key)
+          }
+          scope={isHeader ? "col" : undefined}
+          data-cell={key}
+          tabIndex={isTabStop ? 0 : -1}
+          aria-selected={isActive}
+          onFocus={() => !isActive && setActive({ row, col })}
+          onDoubleClick={() =>
+            setEditing({ value: getValue({ row, col }), selectAll: true })
+          }
+          onDragOver={(e) => {
+            if (draggedCol === null) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = "move";
+          }}
+          onDrop={(e) => {
+            e.preventDefault();
+            handleColumnDrop(col);
+          }}
+          className={`border border-slate-300 px-2 py-1 relative outline-none ${align} ${
+            isActive ? "ring-2 ring-inset ring-blue-500" : ""
+          } ${draggedCol === col ? "opacity-50" : ""}`}
+        >
+          {isActive && editing ? (
+            <CellEditor
+              initialValue={editing.value}
+              selectAll={editing.selectAll}
+              type={type}
+              onCommit={commitEdit}
+              onCancel={cancelEdit}
+            />
+          ) : (
+            <span className="flex items-center gap-1 min-h-[24px]">
+              {isHeader && (
+                <span
+                  draggable
+                  aria-hidden="true"
+                  title="Drag to reorder column"
+                  className="cursor-grab text-slate-400 select-none"
+                  // Native drag only; keep dnd-kit from picking up the item.
+                  onPointerDown={(e) => e.stopPropagation()}
+                  onDragStart={(e) => {
+                    e.stopPropagation();
+                    e.dataTransfer.effectAllowed = "move";
+                    e.dataTransfer.setData("text/plain", value);
+                    setDraggedCol(col);
+                  }}
+                  onDragEnd={() => setDraggedCol(null)}
+                >
+                  ⠿
+                </span>
+              )}
+              <span className="flex-1">
+                {isHeader ? value : formatCell(value, type)}
+              </span>
+            </span>
+          )}
+        </CellTag>
+      );
+    };
+
+    const table = (
+      <table
+        ref={ref}
+        role={editable ? "grid" : undefined}
+        className="w-full border-collapse border border-slate-400"
+        onKeyDown={editable ? handleKeyDown : undefined}
+        onCopy={editable ? (e) => handleCopy(e) : undefined}
+        onCut={editable ? (e) => handleCopy(e, true) : undefined}
+        onPaste={editable ? handlePaste : undefined}
+        {...props}
+      >
+        {hasHeader && (
+          <thead>
+            <tr>{data.headers.map((_, col) => renderCell(-1, col))}</tr>
+          </thead>
+        )}
+        <tbody>
+          {rows.map(([row, index]) => (
+            <tr key={index}>{row.map((_, col) => renderCell(index, col))}</tr>
+          ))}
+        </tbody>
+      </table>
+    );
+
+    if (!editable) {
+      return (
+        <div className="space-y-2">
+          {table}
+          {pageCount > 1 && (
+            <nav
+              aria-label="Table pages"
+              className="flex items-center justify-end gap-2 text-sm"
+            >
+              <button
+                type="button"
+                onClick={() => setPage(currentPage - 1)}
+                disabled={currentPage === 0}
+                className="px-2 py-1 border border-slate-300 rounded disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <span>
+                Page {currentPage + 1} of {pageCount}
+              </span>
+              <button
+                type="button"
+                onClick={() => setPage(currentPage + 1)}
+                disabled={currentPage === pageCount - 1}
+                className="px-2 py-1 border border-slate-300 rounded disabled:opacity-50"
+              >
+                Next
+              </button>
+            </nav>
+          )}
+        </div>
+      );
+    }
+
+    return (
+      <div
+        className="space-y-2"
+        onFocus={() => setHasFocus(true)}
+        onBlur={(e) => {
+          if (!e.currentTarget.contains(e.relatedTarget)) setHasFocus(false);
+        }}
+      >
+        {hasFocus && cell && (
+          <div
+            role="toolbar"
+            aria-label="Table"
+            className="flex flex-wrap items-center gap-1 text-sm"
+            // Keep clicks here from starting a drag or reaching canvas shortcuts.
+            onPointerDown={(e) => e.stopPropagation()}
+            onKeyDown={(e) => e.stopPropagation()}
+          >
+            {toolbarActions.map((action) => (
+              <button
+                key={action.label}
+                type="button"
+                aria-label={action.label}
+                title={action.label}
+                disabled={action.disabled}
+                onClick={() => runAction(action)}
+                className="px-2 py-1 border border-slate-300 rounded bg-white hover:bg-slate-100 disabled:opacity-40"
+              >
+                {action.icon}
+              </button>
+            ))}
+            {typedColumns && (
+              <select
+                aria-label="Column type"
+                value={getColumnType(data, cell.col)}
+                onChange={(e) =>
+                  onDataChange(setColumnType(data, cell.col, e.target.value))
+                }
+                className="px-2 py-1 border border-slate-300 rounded bg-white"
+              >
+                {COLUMN_TYPES.map((type) => (
+                  <option key={type} value={type}>
+                    {type[0].toUpperCase() + type.slice(1)}
+                  </option>
+                ))}
+              </select>
+            )}
+          </div>
+        )}
+        {table}
+      </div>
+    );
+  },
+);
+Table.displayName = "Table";
+
+const Section = React.forwardRef(({ heading, children, ...props }, ref) => (
+  <section ref={ref} className="w-full space-y-3" {...props}>
+    {heading && <h2 className="text-xl font-semibold">{heading}</h2>}
+    {children}
+  </section>
+));
+Section.displayName = "Section";
+
+const Card = React.forwardRef(
+  ({ title, description, children, ...props }, ref) => (
+    <div
+      ref={ref}
+      className="w-full bg-[var(--color-background,#fff)] text-[var(--color-text,#0f172a)] rounded-[calc(var(--radius,0.5rem)+0.25rem)] border shadow"
+      {...props}
+    >
+      <div className="flex flex-col space-y-1.5 p-6">
+        <h3 className="font-semibold leading-none tracking-tight">{title}</h3>
+        <p className="text-sm text-[var(--color-secondary,#64748b)]">
+          {description}
+        </p>
+      </div>
+      <div className="p-6 pt-0">{children}</div>
+    </div>
+  ),
+);
+Card.displayName = "Card";
+
+// Runs `onSubmit` (validate and send, resolving to false when validation
+// failed) and reports how it went below the fields, which are disabled while
+// the request is in flight. Without onSubmit submitting does nothing.
+const Form = React.forwardRef(
+  ({ onSubmit, successMessage, errorMessage, children, ...props }, ref) => {
+    const [status, setStatus] = useState("idle");
+    const handleSubmit = async (e) => {
+      e.preventDefault();
+      if (!onSubmit || status === "submitting") return;
+      setStatus("submitting");
+      try {
+        setStatus((await onSubmit()) === false ? "idle" : "success");
+      } catch {
+        setStatus("error");
+      }
+    };
+    return (
+      <form
+        ref={ref}
+        noValidate
+        onSubmit={handleSubmit}
+        aria-busy={status === "submitting"}
+        className="w-full space-y-3"
+        {...props}
+      >
+        <fieldset disabled={status === "submitting"} className="min-w-0">
+          {children}
+        </fieldset>
+        {status === "success" && (
+          <p role="status" className="text-sm text-green-700">
+            {successMessage}
+          </p>
+        )}
+        {status === "error" && (
+          <p role="alert" className="text-sm text-red-600">
+            {errorMessage}
+          </p>
+        )}
+      </form>
+    );
+  },
+);
+Form.displayName = "Form";
+
+const Columns = React.forwardRef(({ gap, children, ...props }, ref) => (
+  <div
+    ref={ref}
+    className="grid w-full"
+    style={{
+      gridTemplateColumns: `repeat(${React.Children.count(children)}, minmax(0, 1fr))`,
+      gap: `${gap}px`,
+    }}
+    {...props}
+  >
+    {children}
+  </div>
+));
+Columns.displayName = "Columns";
+
+const getGridStyle = ({ columns, gap, align }) => ({
+  gridTemplateColumns: `repeat(${columns}, minmax(0, 1fr))`,
+  gap: `${gap}px`,
+  alignItems: align,
+});
+
+const Grid = React.forwardRef(
+  ({ columns, gap, align, children, style, ...props }, ref) => (
+    <div
+      ref={ref}
+      className="grid w-full"
+      style={{ ...getGridStyle({ columns, gap, align }), ...style }}
+      {...props}
+    >
+      {children}
+    </div>
+  ),
+);
+Grid.displayName = "Grid";
+
+// Exported code names components by their displayName.
+Separator.displayName = "Separator";
+
+export {
+  AssetProvider,
+  Button,
+  Image,
+  Input,
+  Textarea,
+  Select,
+  Checkbox,
+  Text,
+  Description,
+  Graph,
+  Table,
+  Section,
+  Card,
+  Form,
+  Columns,
+  Grid,
+  Separator,
+  getGridStyle,
+};
@@ -0,0 +1,274 @@
+// --- RENDERER TYPES ---
+// Declarations for the renderer library (index.js), shipped with its build;
+// see GUIDE.md. They only use relative imports, so the build can copy them.
+import type {
+  CSSProperties,
+  ComponentPropsWithoutRef,
+  ForwardRefExoticComponent,
+  ReactElement,
+  ReactNode,
+  RefAttributes,
+} from "react";
+import type {
+  Blueprint,
+  ColumnNode,
+  ComponentNode,
+  DeviceName,
+  TableData,
+} from "../registry/blueprint";
+
+export type * from "../registry/blueprint";
+export type { BlueprintValidation } from "../registry/validateBlueprint";
+export {
+  isBlueprint,
+  isComponentNode,
+  validateBlueprint,
+} from "../registry/validateBlueprint";
+
+// Upgrades a page, or a bare component array, saved by an older builder.
+export function migrateBlueprint<T>(blueprint: T): T;
+
+// --- PageRenderer ---
+
+type PageRendererOptions = {
+  className?: string;
+  interactive?: boolean;
+  device?: DeviceName;
+  resolveAsset?: (id: string) => Promise<string | null>;
+};
+
+export type PageRendererProps = PageRendererOptions &
+  (
+    | { blueprint: Blueprint | ComponentNode[] }
+    | {
+        pageId: string;
+        fetchPage: (pageId: string) => Promise<Blueprint | null | undefined>;
+        fallback?: ReactNode;
+      }
+  );
+
+export function PageRenderer(props: PageRendererProps): ReactElement;
+
+// --- Registry ---
+
+type FieldOption = string | { value: string; label: string };
+
+export type FieldSchema = {
+  name: string;
+  label: string;
+  type:
+    | "string"
+    | "text"
+    | "number"
+    | "enum"
+    | "boolean"
+    | "color"
+    | "image"
+    | "list"
+    | "data"
+    | "ref";
+  default?: unknown;
+  required?: boolean;
+  nullable?: boolean;
+  maxLength?: number;
+  integer?: boolean;
+  min?: number;
+  max?: number;
+  options?: FieldOption[];
+  minItems?: number;
+  format?: "identifier" | "regex";
+  taken?: string[];
+  tokens?: "colors" | "spacing";
+  refType?: string;
+  visible?: (props: Record<string, unknown>) => boolean;
+};
+
+type AnyNode = ComponentNode | ColumnNode;
+
+export type GridChildren = { style: CSSProperties; maxColSpan: number };
+
+export type RenderContext = {
+  component: AnyNode;
+  textStyle: CSSProperties;
+  renderChildren: (container: AnyNode, grid?: GridChildren) => ReactNode;
+  onUpdate?: (id: string, props: AnyNode["props"]) => void;
+  form?: FormStore | null;
+  page?: AnyNode[];
+  standalone: boolean;
+  exporting: boolean;
+  formVar?: string;
+};
+
+export type ComponentDefinition = {
+  type: string;
+  label: string;
+  hidden?: boolean;
+  version?: number;
+  migrations?: Record<
+    number,
+    (props: Record<string, unknown>) => Record<string, unknown>
+  >;
+  defaultProps: Record<string, unknown>;
+  fields: FieldSchema[];
+  render: (props: Record<string, unknown>, ctx: RenderContext) => ReactNode;
+  createChildren?: (
+    props: Record<string, unknown>,
+    createComponent: (type: string) => AnyNode,
+  ) => AnyNode[];
+  onFieldChange?: (
+    props: Record<string, unknown>,
+    name: string,
+    helpers: { createComponent: (type: string) => AnyNode },
+  ) => Record<string, unknown>;
+};
+
+export function getDefinition(type: string): ComponentDefinition | undefined;
+
+export function registerComponent(definition: ComponentDefinition): void;
+
+// Interactive form state, keyed by component id (see lib/forms).
+export type FormStore = {
+  values: Record<string, unknown>;
+  errors: Record<string, string | null>;
+  setValue: (id: string, value: unknown) => void;
+  setErrors: (errors: Record<string, string | null>) => void;
+};
+
+export function renderComponent(
+  component: AnyNode,
+  options?: Partial<
+    Pick<
+      RenderContext,
+      | "renderChildren"
+      | "onUpdate"
+      | "form"
+      | "page"
+      | "standalone"
+      | "exporting"
+      | "formVar"
+    >
+  > & { device?: DeviceName },
+): ReactElement;
+
+// --- UI components ---
+// What pages exported as React code import.
+
+type UIComponent<Props, Element> = ForwardRefExoticComponent<
+  Props & RefAttributes<Element>
+>;
+
+export function AssetProvider(props: {
+  resolveAsset: (id: string) => Promise<string | null>;
+  children?: ReactNode;
+}): ReactElement;
+
+export const Button: UIComponent<
+  ComponentPropsWithoutRef<"button"> & {
+    variant?: "default" | "destructive";
+  },
+  HTMLButtonElement
+>;
+
+export const Card: UIComponent<
+  Omit<ComponentPropsWithoutRef<"div">, "title"> & {
+    title?: ReactNode;
+    description?: ReactNode;
+  },
+  HTMLDivElement
+>;
+
+export const Checkbox: UIComponent<
+  Omit<ComponentPropsWithoutRef<"input">, "type"> & { label?: ReactNode },
+  HTMLInputElement
+>;
+
+export const Columns: UIComponent<
+  ComponentPropsWithoutRef<"div"> & { gap?: number },
+  HTMLDivElement
+>;
+
+export const Description: UIComponent<
+  { text?: ReactNode; style?: CSSProperties },
+  HTMLParagraphElement
+>;
+
+// Runs `onSubmit` on submit and reports success, or failure when it rejects.
+// Resolving to false means validation failed and reports nothing.
+export const Form: UIComponent<
+  Omit<ComponentPropsWithoutRef<"form">, "onSubmit"> & {
+    onSubmit?: () => unknown;
+    successMessage?: ReactNode;
+    errorMessage?: ReactNode;
+  },
+  HTMLFormElement
+>;
+
+export const Graph: UIComponent<
+  Omit<ComponentPropsWithoutRef<"div">, "title"> & {
+    chartType?: "bar" | "line" | "area" | "pie";
+    title?: string;
+    data?: TableData;
+    xLabel?: string;
+    yLabel?: string;
+    showLegend?: boolean;
+  },
+  HTMLDivElement
+>;
+
+// `src` may be an asset reference, resolved through AssetProvider.
+export const Image: UIComponent<
+  ComponentPropsWithoutRef<"img">,
+  HTMLImageElement
+>;
+
+export const Input: UIComponent<
+  ComponentPropsWithoutRef<"input">,
+  HTMLInputElement
+>;
+
+export const Section: UIComponent<
+  ComponentPropsWithoutRef<"section"> & { heading?: ReactNode },
+  HTMLElement
+>;
+
+export const Select: UIComponent<
+  Omit<ComponentPropsWithoutRef<"select">, "children"> & {
+    options?: FieldOption[];
+    placeholder?: string;
+  },
+  HTMLSelectElement
+>;
+
+export function Separator(
+  props: ComponentPropsWithoutRef<"div"> & {
+    orientation?: "horizontal" | "vertical";
+    decorative?: boolean;
+  },
+): ReactElement;
+
+// Editable when `onDataChange` is passed.
+export const Table: UIComponent<
+  ComponentPropsWithoutRef<"table"> & {
+    data: TableData;
+    hasHeader?: boolean;
+    onDataChange?: (data: TableData) => void;
+    sortable?: boolean;
+    pageSize?: number;
+    minRows?: number;
+    maxRows?: number;
+    minCols?: number;
+    maxCols?: number;
+    typedColumns?: boolean;
+  },
+  HTMLTableElement
+>;
+
+export const Text: UIComponent<
+  { text?: ReactNode; style?: CSSProperties },
+  HTMLParagraphElement
+>;
+
+export const Textarea: UIComponent<
+  ComponentPropsWithoutRef<"textarea">,
+  HTMLTextAreaElement
+>;
@@ -0,0 +1,31 @@
+// --- RENDERER ENTRY POINT ---
+// Built on its own with `npm run build:renderer`; see GUIDE.md. Typed by
+// index.d.ts, which has to follow these exports.
+export { PageRenderer } from "./PageRenderer";
+export { renderComponent } from "./renderComponent";
+export { getDefinition, registerComponent } from "@/registry/registry";
+export { migrateBlueprint } from "@/registry/migrations";
+export {
+  isBlueprint,
+  isComponentNode,
+  validateBlueprint,
+} from "@/registry/validateBlueprint";
+// The UI components, which pages exported as React code import.
+export {
+  AssetProvider,
+  Button,
+  Card,
+  Checkbox,
+  Columns,
+  Description,
+  Form,
+  Graph,
+  Image,
+  Input,
+  Section,
+  Select,
+  Separator,
+  Table,
+  Text,
+  Textarea,
+} from "./components";
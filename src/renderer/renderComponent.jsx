@@ -0,0 +1,94 @@
+import { TEXT_VARIABLES, resolveStyles } from "@/registry/breakpoints";
+import { getDefinition } from "@/registry/registry";
+import { toCssValue } from "@/registry/theme";
+
+// Numbers become pixels and theme tokens var()s; see registry/theme.
+const px = toCssValue;
+
+// Margins and grid placement for the box around a component. The builder adds
+// its drag transform and selection ring on top of this.
+const getBoxStyle = (component, maxColSpan = 1, device = "desktop") => {
+  const { layout } = component.props;
+  const styles = resolveStyles(component.props.styles, device);
+  const colSpan = Math.min(layout?.colSpan ?? 1, maxColSpan);
+  return {
+    marginTop: px(styles.marginTop),
+    marginBottom: px(styles.marginBottom),
+    marginLeft: px(styles.marginLeft),
+    marginRight: px(styles.marginRight),
+    gridColumn: `span ${colSpan} / span ${colSpan}`,
+    alignSelf: layout?.alignSelf,
+  };
+};
+
+const getPaddingStyle = (styles) => ({
+  paddingTop: px(styles.paddingTop),
+  paddingBottom: px(styles.paddingBottom),
+  paddingLeft: px(styles.paddingLeft),
+  paddingRight: px(styles.paddingRight),
+});
+
+// Renders the body of one blueprint node through its registry definition.
+// Containers hand their children to `renderChildren(container, grid)`, so the
+// builder can draw drop zones where PageRenderer draws plain markup. Passing
+// `onUpdate` turns on inline editing (e.g. table cells); passing `form` makes
+// form controls interactive, backed by that store (see lib/forms).
+// `device` picks which breakpoint overrides apply, and `page` (the whole
+// component tree) lets a component read another's data, e.g. a Graph bound to
+// a Table. `standalone` renders for a static HTML page with no React behind it
+// (see registry/exportHtml): forms submit natively and tables show every row.
+// `exporting` renders the tree the code exporter prints as JSX (see
+// registry/exportCode), where `formVar` names the generated useForm state of
+// the enclosing Form. Both switch breakpoints with media queries, so text
+// styles of nodes with overrides go through custom properties, which a
+// stylesheet can override.
+const renderComponent = (
+  component,
+  {
+    renderChildren,
+    onUpdate,
+    form,
+    device = "desktop",
+    page,
+    standalone = false,
+    exporting = false,
+    formVar,
+  } = {},
+) => {
+  const definition = getDefinition(component.type);
+  if (!definition) return <div>Unknown Component</div>;
+  const { styles: baseStyles, ...props } = component.props;
+  const styles = resolveStyles(baseStyles, device);
+  const textStyle = { color: px(styles.color), fontSize: px(styles.fontSize) };
+  const textVariables = (standalone || exporting) && baseStyles.responsive;
+  return (
+    <div
+      style={{
+        ...getPaddingStyle(styles),
+        ...(textVariables && {
+          [TEXT_VARIABLES.color]: textStyle.color,
+          [TEXT_VARIABLES.fontSize]: textStyle.fontSize,
+        }),
+      }}
+    >
+      {definition.render(props, {
+        component,
+        textStyle: textVariables
+          ? {
+              color: `var(${TEXT_VARIABLES.color})`,
+              fontSize: `var(${TEXT_VARIABLES.fontSize})`,
+            }
+          : textStyle,
+        renderChildren,
+        onUpdate,
+        form,
+        page,
+        standalone,
+        exporting,
+        formVar,
+      })}
+    </div>
+  );
+};
+
+export { getBoxStyle, renderComponent };
@@ -0,0 +1,50 @@
+import { defineConfig } from "vite";
+import react from "@vitejs/plugin-react";
+import fs from "fs";
+import path from "path";
+
+// The hand-written declarations (src/renderer/index.d.ts and the registry
+// types it imports) go next to the bundles, keeping their relative paths:
+// types/renderer/index.d.ts is the package's entry.
+const DECLARATION_DIRS = ["registry", "renderer"];
+
+const copyDeclarations = () => ({
+  name: "copy-declarations",
+  generateBundle() {
+    for (const dir of DECLARATION_DIRS) {
+      const source = path.resolve(__dirname, "src", dir);
+      for (const file of fs.readdirSync(source)) {
+        if (!file.endsWith(".d.ts")) continue;
+        this.emitFile({
+          type: "asset",
+          fileName: `types/${dir}/${file}`,
+          source: fs.readFileSync(path.join(source, file), "utf8"),
+        });
+      }
+    }
+  },
+});
+
+// Library build of the PageRenderer (src/renderer). React stays a peer
+// dependency of the consuming app.
+export default defineConfig({
+  plugins: [react(), copyDeclarations()],
+  resolve: {
+    alias: {
+      "@": path.resolve(__dirname, "./src"),
+    },
+  },
+  build: {
+    outDir: "dist/renderer",
+    copyPublicDir: false,
+    lib: {
+      entry: path.resolve(__dirname, "src/renderer/index.js"),
+      name: "PageRenderer",
+      formats: ["es", "cjs"],
+      fileName: "renderer",
+    },
+    rollupOptions: {
+      external: ["react", "react-dom", "react/jsx-runtime"],
+    },
+  },
+});
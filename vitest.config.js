@@ -0,0 +1,10 @@
+import { defineConfig, mergeConfig } from "vitest/config";
+import viteConfig from "./vite.config.js";
+
+// Tests share the app's build config (vite.config.js), aliases included.
+export default mergeConfig(
+  viteConfig,
+  defineConfig({
+    test: { include: ["src/**/*.test.{js,jsx}"] },
+  }),
+);